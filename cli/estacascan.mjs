@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * EstacaScan - CLI de conteo
+ * Cuenta las estacas de todas las fotos de una carpeta fuera del navegador, con
+ * onnxruntime-node y el mismo pre/postprocesado que la app (js/image-processor.js)
+ *
+ * Uso: npx estacascan <carpeta> [opciones]   (ver --help)
+ * Requiere Node 20.19 o superior; las dependencias se instalan con `npm install` en cli/
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import * as ort from 'onnxruntime-node';
+import sharp from 'sharp';
+
+import { CONFIG } from '../js/config.js';
+import { ImageProcessor } from '../js/image-processor.js';
+import { readOnnxMetadata, classNamesFromMetadata } from '../js/onnx-metadata.js';
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.tif', '.tiff']);
+const LETTERBOX_GRAY = { r: 128, g: 128, b: 128, alpha: 1 };
+const SUPPRESSION_METHODS = ['greedy', 'soft-linear', 'soft-gaussian', 'wbf', 'diou'];
+
+const HELP = `Uso: estacascan <carpeta> [opciones]
+
+Cuenta las estacas de cada foto de <carpeta> y escribe conteos y detecciones.
+
+Opciones:
+  --model <ruta>        Modelo ONNX (por defecto model/best.onnx)
+  --confidence <0-1>    Confianza mínima (por defecto ${CONFIG.CONFIDENCE_THRESHOLD})
+  --doubt <0-1>         Bajo este valor la detección queda como duda (por defecto ${CONFIG.DOUBT_THRESHOLD})
+  --iou <0-1>           Superposición para NMS clásico (por defecto ${CONFIG.IOU_THRESHOLD})
+  --suppression <m>     Supresión de duplicados: ${SUPPRESSION_METHODS.join(', ')} (por defecto ${CONFIG.SUPPRESSION_METHOD})
+  --soft-iou <0-1>      Soft-NMS lineal: superposición que resta puntaje (por defecto ${CONFIG.SOFT_NMS_IOU})
+  --sigma <n>           Soft-NMS gaussiano: sigma (por defecto ${CONFIG.SOFT_NMS_SIGMA})
+  --wbf-iou <0-1>       WBF: superposición para fusionar (por defecto ${CONFIG.WBF_IOU})
+  --diou-iou <0-1>      DIoU-NMS: umbral (por defecto ${CONFIG.DIOU_THRESHOLD})
+  --tiled               Análisis por mosaicos para fotos grandes
+  --tta                 Análisis reforzado: también la foto reflejada y más pequeña (más lento)
+  --format <json|csv>   Formato de salida (por defecto json)
+  --output <archivo>    Archivo de salida (por defecto la salida estándar)
+  -h, --help            Muestra esta ayuda
+`;
+
+// ===============================================
+// Arguments
+// ===============================================
+function parseThreshold(value, name, fallback, max = 1) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > max) {
+        throw new Error(`--${name} debe ser un número entre 0 y ${max}`);
+    }
+    return number;
+}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            model: { type: 'string', default: fileURLToPath(CONFIG.MODEL_PATH) },
+            confidence: { type: 'string' },
+            doubt: { type: 'string' },
+            iou: { type: 'string' },
+            suppression: { type: 'string', default: CONFIG.SUPPRESSION_METHOD },
+            'soft-iou': { type: 'string' },
+            sigma: { type: 'string' },
+            'wbf-iou': { type: 'string' },
+            'diou-iou': { type: 'string' },
+            tiled: { type: 'boolean', default: false },
+            tta: { type: 'boolean', default: false },
+            format: { type: 'string', default: 'json' },
+            output: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (positionals.length !== 1) throw new Error('Indica una carpeta de fotos');
+    if (!['json', 'csv'].includes(values.format)) throw new Error('--format debe ser json o csv');
+    if (!SUPPRESSION_METHODS.includes(values.suppression)) {
+        throw new Error(`--suppression debe ser uno de: ${SUPPRESSION_METHODS.join(', ')}`);
+    }
+
+    return {
+        folder: positionals[0],
+        model: values.model,
+        tiled: values.tiled,
+        tta: values.tta,
+        format: values.format,
+        output: values.output || null,
+        thresholds: {
+            confidence: parseThreshold(values.confidence, 'confidence', CONFIG.CONFIDENCE_THRESHOLD),
+            doubt: parseThreshold(values.doubt, 'doubt', CONFIG.DOUBT_THRESHOLD),
+            iou: parseThreshold(values.iou, 'iou', CONFIG.IOU_THRESHOLD),
+            suppression: values.suppression,
+            softIou: parseThreshold(values['soft-iou'], 'soft-iou', CONFIG.SOFT_NMS_IOU),
+            sigma: parseThreshold(values.sigma, 'sigma', CONFIG.SOFT_NMS_SIGMA, 10),
+            wbfIou: parseThreshold(values['wbf-iou'], 'wbf-iou', CONFIG.WBF_IOU),
+            diouIou: parseThreshold(values['diou-iou'], 'diou-iou', CONFIG.DIOU_THRESHOLD)
+        }
+    };
+}
+
+// ===============================================
+// Model
+// ===============================================
+// manifest.json next to the model (as published for the app), if any
+async function readManifest(modelPath) {
+    try {
+        return JSON.parse(await readFile(path.join(path.dirname(modelPath), 'manifest.json'), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+async function loadModel(modelPath) {
+    const buffer = await readFile(modelPath);
+    const manifest = await readManifest(modelPath);
+    const session = await ort.InferenceSession.create(buffer);
+
+    return {
+        session,
+        version: manifest?.version || null,
+        inputSize: manifest?.inputSize || CONFIG.MODEL_INPUT_SIZE,
+        classNames: manifest?.classNames ||
+            classNamesFromMetadata(readOnnxMetadata(buffer)) ||
+            CONFIG.CLASS_NAMES
+    };
+}
+
+// ===============================================
+// Detection
+// ===============================================
+// Decoded once as raw RGBA, upright like the browser shows it (EXIF orientation applied)
+async function decodeImage(file) {
+    const { data, info } = await sharp(file).rotate().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+// Same letterbox as the worker's OffscreenCanvas, drawn with sharp
+async function preprocess(image, inputSize, region = null, variant = {}) {
+    const layout = ImageProcessor.letterbox(image.width, image.height, inputSize, region, variant);
+    const { targetSize, newWidth, newHeight, offsetX, offsetY } = layout;
+
+    const pixels = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 4 } })
+        .extract({ left: layout.regionX, top: layout.regionY, width: layout.originalWidth, height: layout.originalHeight })
+        .resize(newWidth, newHeight, { fit: 'fill' })
+        .flop(layout.flipX)
+        .extend({
+            top: offsetY,
+            bottom: targetSize - newHeight - offsetY,
+            left: offsetX,
+            right: targetSize - newWidth - offsetX,
+            background: LETTERBOX_GRAY
+        })
+        .raw()
+        .toBuffer();
+
+    return ImageProcessor.toInput(pixels, layout);
+}
+
+async function runOnRegion(model, image, region = null, variant = {}) {
+    const input = await preprocess(image, model.inputSize, region, variant);
+    const { session } = model;
+    const results = await session.run({
+        [session.inputNames[0]]: new ort.Tensor('float32', input.data, input.shape)
+    });
+    return { output: results[session.outputNames[0]], info: ImageProcessor.decodeInfo(input) };
+}
+
+async function detectImage(model, file, { tiled, tta, thresholds }) {
+    const image = await decodeImage(file);
+    const tiles = tiled ? ImageProcessor.computeTiles(image.width, image.height) : [null];
+    const variants = tta ? CONFIG.TTA_VARIANTS : CONFIG.TTA_VARIANTS.slice(0, 1);
+
+    // Every tile of every variant; ImageProcessor fuses the variants like in the app
+    const outputs = [];
+    for (const [v, variant] of variants.entries()) {
+        for (const tile of tiles) {
+            const entry = await runOnRegion(model, image, tiles.length > 1 ? tile : null, variant);
+            entry.info.variant = v;
+            outputs.push(entry);
+        }
+    }
+
+    const detections = ImageProcessor.detectionsFromOutputs(outputs, thresholds);
+    return { width: image.width, height: image.height, detections };
+}
+
+// Same split as the app: below the doubt threshold a detection waits for review
+function imageResult(file, { width, height, detections }, model, thresholds) {
+    const round = (value, decimals) => Number(value.toFixed(decimals));
+    const entries = detections.map((det, i) => ({
+        number: i + 1,
+        status: det.confidence >= thresholds.doubt ? 'confirmed' : 'doubt',
+        x1: round(det.x1, 1),
+        y1: round(det.y1, 1),
+        x2: round(det.x2, 1),
+        y2: round(det.y2, 1),
+        confidence: round(det.confidence, 4),
+        classId: det.classId || 0,
+        className: model.classNames[det.classId || 0] ?? `clase ${det.classId}`
+    }));
+
+    return {
+        file,
+        width,
+        height,
+        confirmed: entries.filter(det => det.status === 'confirmed').length,
+        doubts: entries.filter(det => det.status === 'doubt').length,
+        detections: entries
+    };
+}
+
+// ===============================================
+// Output
+// ===============================================
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per photo followed by the detection table
+function buildCsv(report) {
+    const rows = [
+        ['file', 'width', 'height', 'confirmed', 'doubts', 'error'],
+        ...report.images.map(image => [image.file, image.width, image.height, image.confirmed, image.doubts, image.error]),
+        [],
+        ['file', 'number', 'status', 'x1', 'y1', 'x2', 'y2', 'confidence', 'class_id', 'class_name'],
+        ...report.images.flatMap(image => (image.detections || []).map(det => [
+            image.file, det.number, det.status, det.x1, det.y1, det.x2, det.y2,
+            det.confidence, det.classId, det.className
+        ]))
+    ];
+
+    return rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+// ===============================================
+// Main
+// ===============================================
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(HELP);
+        return;
+    }
+
+    const files = (await readdir(options.folder, { withFileTypes: true }))
+        .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b, 'es', { numeric: true }));
+
+    if (files.length === 0) throw new Error(`No hay fotos en ${options.folder}`);
+
+    const model = await loadModel(options.model);
+    const images = [];
+
+    for (const [index, file] of files.entries()) {
+        process.stderr.write(`[${index + 1}/${files.length}] ${file}\n`);
+        try {
+            const result = await detectImage(model, path.join(options.folder, file), options);
+            images.push(imageResult(file, result, model, options.thresholds));
+        } catch (error) {
+            // One broken photo doesn't stop the rest
+            console.error(`  Error: ${error.message}`);
+            images.push({ file, error: error.message });
+            process.exitCode = 1;
+        }
+    }
+
+    const report = {
+        app: 'EstacaScan',
+        exportedAt: new Date().toISOString(),
+        model: { path: options.model, version: model.version, classNames: model.classNames },
+        thresholds: options.thresholds,
+        tiled: options.tiled,
+        tta: options.tta,
+        totalConfirmed: images.reduce((sum, image) => sum + (image.confirmed || 0), 0),
+        totalDoubts: images.reduce((sum, image) => sum + (image.doubts || 0), 0),
+        images
+    };
+
+    const text = options.format === 'csv' ? buildCsv(report) : JSON.stringify(report, null, 2) + '\n';
+    if (options.output) {
+        await writeFile(options.output, text);
+        process.stderr.write(`${report.totalConfirmed} estacas confirmadas en ${files.length} fotos → ${options.output}\n`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,59 @@
+/**
+ * EstacaScan - Auditoría por muestreo
+ * Toma una muestra al azar de las estacas confirmadas automáticamente y, con lo que el
+ * revisor encuentra en ella, estima la tasa de falsos positivos y un intervalo para el total
+ */
+
+import { CONFIG } from './config.js';
+
+// ===============================================
+// Sampling
+// ===============================================
+// `size` items picked uniformly at random without replacement (partial Fisher-Yates)
+export function randomSample(items, size, random = Math.random) {
+    const pool = [...items];
+    const count = Math.min(size, pool.length);
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+}
+
+// ===============================================
+// Estimation
+// ===============================================
+// Wilson score interval for a proportion: unlike the normal approximation it stays
+// inside [0, 1] and is still useful when the sample has few or no errors
+export function wilsonInterval(hits, trials, z = CONFIG.AUDIT_Z) {
+    if (trials === 0) return { low: 0, high: 1 };
+
+    const p = hits / trials;
+    const z2 = z * z;
+    const denominator = 1 + z2 / trials;
+    const center = (p + z2 / (2 * trials)) / denominator;
+    const margin = (z / denominator) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+    return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+// Estimate of the real total from an audit:
+//   total     - confirmed count now (false positives found by the audit already removed)
+//   unaudited - auto-confirmed stakes nobody checked
+//   sampled   - audited stakes, `errors` of them were not stakes
+// Only the unaudited stakes carry the estimated error rate. Missed stakes (false
+// negatives) are outside what the audit can see.
+export function estimateTotal({ total, unaudited, sampled, errors }) {
+    const errorRate = sampled > 0 ? errors / sampled : 0;
+    const { low, high } = wilsonInterval(errors, sampled);
+    return {
+        sampled,
+        errors,
+        unaudited,
+        errorRate,
+        errorLow: low,
+        errorHigh: high,
+        total: Math.round(total - unaudited * errorRate),
+        totalLow: Math.floor(total - unaudited * high),
+        totalHigh: Math.ceil(total - unaudited * low)
+    };
+}
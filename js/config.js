@@ -0,0 +1,108 @@
+/**
+ * EstacaScan - Configuración compartida
+ * Usada por la landing, la página del escáner y el worker de inferencia
+ */
+
+// ===============================================
+// Configuration
+// ===============================================
+export const CONFIG = {
+    // Model settings (resolved against this file so it also works inside the worker)
+    MODEL_PATH: new URL('../model/best.onnx', import.meta.url).href,
+    MODEL_MANIFEST_PATH: new URL('../model/manifest.json', import.meta.url).href,
+    MODEL_INPUT_SIZE: 640,
+    CLASS_NAMES: ['estaca'], // Fallback when neither the manifest nor the model metadata name the classes
+
+    // ONNX Runtime Web 1.17.0, served from our own origin so it works offline (see README)
+    ORT_PATH: new URL('../vendor/onnxruntime-web/ort.min.js', import.meta.url).href,
+    ORT_WEBGPU_PATH: new URL('../vendor/onnxruntime-web/ort.webgpu.min.js', import.meta.url).href,
+    ORT_WASM_PATH: new URL('../vendor/onnxruntime-web/', import.meta.url).href,
+    WASM_MAX_THREADS: 4,   // Only with cross-origin isolation (COOP/COEP headers)
+    BENCHMARK_RUNS: 2,     // Timed runs per backend after the warm-up
+
+    // Resumable model download (parts kept in IndexedDB between attempts and reloads)
+    DOWNLOAD_CHUNK_SIZE: 2 * 1024 * 1024,
+    DOWNLOAD_RETRY_BASE_MS: 1000,
+    DOWNLOAD_RETRY_MAX_MS: 30000,
+    SW_MODEL_PRELOAD_MS: 4 * 60 * 1000, // Longest the service worker install waits for the model
+
+    // Detection thresholds
+    CONFIDENCE_THRESHOLD: 0.25,
+    DOUBT_THRESHOLD: 0.5,  // Below this = doubt
+    IOU_THRESHOLD: 0.45,
+    RAW_MIN_CONFIDENCE: 0.05, // Raw outputs kept for re-tuning drop boxes below this
+    RETUNE_MATCH_IOU: 0.5,    // Overlap to treat a re-tuned box as one the user already decided on
+
+    // Review: suggested cut for "accept the remaining doubts from X% up"
+    REVIEW_BULK_CONFIDENCE: 0.4,
+
+    // Review crop: context around the box (times its size, at least MIN px), canvas size,
+    // closest zoom over that framing and side of the whole-photo inset
+    REVIEW_CROP_PADDING: 1.5,
+    REVIEW_CROP_MIN_PADDING: 50,
+    REVIEW_CROP_SIZE: 400,
+    REVIEW_CROP_MAX_ZOOM: 4,
+    REVIEW_MINIMAP_SIZE: 96,
+
+    // Audit of auto-confirmed stakes: stakes drawn per pass and z of the intervals (95%)
+    AUDIT_SAMPLE_SIZE: 30,
+    AUDIT_Z: 1.96,
+
+    // Duplicate suppression: 'greedy' (classic NMS with IOU_THRESHOLD), 'soft-linear',
+    // 'soft-gaussian', 'wbf' (weighted box fusion) or 'diou' (DIoU-NMS); each has its own parameter
+    SUPPRESSION_METHOD: 'greedy',
+    SOFT_NMS_IOU: 0.3,      // Soft-NMS linear: overlap above which scores decay
+    SOFT_NMS_SIGMA: 0.5,    // Soft-NMS gaussian: spread of the decay
+    WBF_IOU: 0.55,          // Weighted box fusion: overlap to join boxes into one
+    DIOU_THRESHOLD: 0.45,   // DIoU-NMS: IoU minus center distance penalty to suppress
+
+    // Tiled (sliced) inference for high-resolution photos
+    TILE_SIZE: 640,           // Tile side in original image pixels
+    TILE_OVERLAP: 0.2,        // Fraction of a tile shared with its neighbour
+    TILE_MERGE_THRESHOLD: 0.5, // Intersection over smaller box to merge across seams
+
+    // Test-time augmentation: extra passes on variants of the photo (the first is the original)
+    TTA_VARIANTS: [
+        { scale: 1, flipX: false },
+        { scale: 1, flipX: true },
+        { scale: 0.83, flipX: false },
+        { scale: 0.67, flipX: false }
+    ],
+    TTA_FUSION_IOU: 0.55, // Overlap to fuse the boxes of different variants
+
+    // Result canvas: highest device pixel ratio drawn (sharper costs memory and time)
+    // and smallest side of the downscaled copies of the photo used while zoomed out
+    RENDER_MAX_DPR: 2,
+    RENDER_PYRAMID_MIN_SIZE: 512,
+    RENDER_GRID_MAX_CELLS: 64, // Spatial index: at most this many cells along the longest image side
+
+    // Live camera: minimum time between two analyzed frames
+    LIVE_DETECTION_INTERVAL_MS: 700,
+
+    // Diameter estimation (reference object of known length marked on the pile face)
+    CALIBRATION_DEFAULT_MM: 85.6, // Long side of a bank / ID card
+    DIAMETER_BIN_MM: 10,          // Histogram bar width
+    DIAMETER_GRADES_MM: [80, 100, 120], // Default grade limits (user editable)
+
+    // Colors
+    COLORS: {
+        confirmed: '#10b981',
+        doubt: '#f59e0b',
+        rejected: '#ef4444',
+        region: '#38bdf8',
+        calibration: '#e879f9'
+    },
+    // Confirmed boxes per class (the first one is `confirmed`; doubt and rejected colors are kept out)
+    CLASS_COLORS: ['#10b981', '#3b82f6', '#a855f7', '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#6366f1'],
+
+    // Cache settings
+    DB_NAME: 'EstacaScanDB',
+    DB_VERSION: 3,
+
+    // Export (largest canvas area mobile Safari allows)
+    EXPORT_MAX_PIXELS: 16777216,
+
+    // Scan history (image kept downscaled so reopened scans stay light)
+    HISTORY_IMAGE_MAX_SIZE: 2048,
+    HISTORY_IMAGE_QUALITY: 0.8
+};
@@ -0,0 +1,135 @@
+/**
+ * EstacaScan - Exportación de dataset de entrenamiento
+ * Empaqueta imágenes y etiquetas corregidas en formato YOLO o COCO dentro de un ZIP
+ */
+
+import { CONFIG } from './config.js';
+import { createZip } from './zip.js';
+
+// ===============================================
+// Dataset Builders
+// ===============================================
+// A sample is one reviewed photo:
+//   { name, blob, width, height, sourceWidth, sourceHeight, confirmed, rejected }
+// `width`/`height` are the pixel size of `blob`; detections are in `sourceWidth`/`sourceHeight`
+// coordinates (they differ when the blob is the downscaled copy kept in the history).
+
+function imageExtension(blob) {
+    if (blob.type === 'image/png') return 'png';
+    if (blob.type === 'image/webp') return 'webp';
+    return 'jpg';
+}
+
+function uniqueBaseName(sample, index) {
+    const base = sample.name
+        .replace(/\.[^.]+$/, '')
+        .replace(/[^\w-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'foto';
+    return `${String(index + 1).padStart(4, '0')}-${base}`;
+}
+
+// YOLO txt: "class cx cy w h", normalized to [0, 1]
+function yoloLines(detections, sample) {
+    const f = (value) => value.toFixed(6);
+    const lines = detections.map(det => {
+        const cx = (det.x1 + det.x2) / 2 / sample.sourceWidth;
+        const cy = (det.y1 + det.y2) / 2 / sample.sourceHeight;
+        const w = (det.x2 - det.x1) / sample.sourceWidth;
+        const h = (det.y2 - det.y1) / sample.sourceHeight;
+        return `${det.classId || 0} ${f(cx)} ${f(cy)} ${f(w)} ${f(h)}`;
+    });
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+function buildYolo(samples, files, hardNegatives, classNames) {
+    samples.forEach((sample, index) => {
+        const base = uniqueBaseName(sample, index);
+        files.push({ name: `labels/${base}.txt`, data: yoloLines(sample.confirmed, sample) });
+        if (hardNegatives) {
+            files.push({ name: `hard_negatives/${base}.txt`, data: yoloLines(sample.rejected, sample) });
+        }
+    });
+
+    const yaml = [
+        '# EstacaScan dataset (YOLO)',
+        hardNegatives ? '# hard_negatives/: boxes rejected during review, same format as labels/' : null,
+        'path: .',
+        'train: images',
+        'val: images',
+        `nc: ${classNames.length}`,
+        `names: [${classNames.map(name => `'${name}'`).join(', ')}]`
+    ].filter(line => line !== null).join('\n');
+
+    files.push({ name: 'data.yaml', data: yaml + '\n' });
+}
+
+function buildCoco(samples, files, hardNegatives, classNames) {
+    const coco = {
+        info: {
+            description: 'EstacaScan dataset',
+            date_created: new Date().toISOString()
+        },
+        images: [],
+        annotations: [],
+        categories: classNames.map((name, index) => ({ id: index + 1, name }))
+    };
+    if (hardNegatives) coco.hard_negatives = [];
+
+    const toAnnotation = (det, sample, imageId, id) => {
+        const scaleX = sample.width / sample.sourceWidth;
+        const scaleY = sample.height / sample.sourceHeight;
+        const w = (det.x2 - det.x1) * scaleX;
+        const h = (det.y2 - det.y1) * scaleY;
+        return {
+            id,
+            image_id: imageId,
+            category_id: (det.classId || 0) + 1,
+            bbox: [det.x1 * scaleX, det.y1 * scaleY, w, h].map(v => Number(v.toFixed(2))),
+            area: Number((w * h).toFixed(2)),
+            iscrowd: 0
+        };
+    };
+
+    samples.forEach((sample, index) => {
+        const imageId = index + 1;
+        coco.images.push({
+            id: imageId,
+            file_name: `images/${uniqueBaseName(sample, index)}.${imageExtension(sample.blob)}`,
+            width: sample.width,
+            height: sample.height
+        });
+
+        sample.confirmed.forEach(det => {
+            coco.annotations.push(toAnnotation(det, sample, imageId, coco.annotations.length + 1));
+        });
+        if (hardNegatives) {
+            sample.rejected.forEach(det => {
+                coco.hard_negatives.push(toAnnotation(det, sample, imageId, coco.hard_negatives.length + 1));
+            });
+        }
+    });
+
+    files.push({ name: 'annotations.json', data: JSON.stringify(coco, null, 2) });
+}
+
+// Zip Blob with the reviewed photos (samples shaped as above) as a training dataset.
+// format 'yolo' or 'coco'; classNames are the labels of the model that produced the detections
+export async function createDatasetZip(samples, {
+    format = 'yolo', hardNegatives = false, classNames = CONFIG.CLASS_NAMES
+} = {}) {
+    const files = [];
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        const data = new Uint8Array(await sample.blob.arrayBuffer());
+        files.push({ name: `images/${uniqueBaseName(sample, i)}.${imageExtension(sample.blob)}`, data });
+    }
+
+    if (format === 'coco') {
+        buildCoco(samples, files, hardNegatives, classNames);
+    } else {
+        buildYolo(samples, files, hardNegatives, classNames);
+    }
+
+    return createZip(files);
+}
@@ -0,0 +1,85 @@
+/**
+ * EstacaScan - Base de datos local (IndexedDB)
+ * Compartida por la landing, el escáner y el worker de inferencia
+ */
+
+import { CONFIG } from './config.js';
+
+// ===============================================
+// Database
+// ===============================================
+// Schema versions:
+//   1 - `models`: cached ONNX model under the 'yolo-model' key
+//   2 - `scans`: saved analyses (scan history)
+//   3 - `downloads`: parts of an unfinished model download (see downloader.js)
+export function openDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+
+        request.onupgradeneeded = (e) => {
+            const db = e.target.result;
+
+            // Only create what is missing so existing data (the cached model) survives upgrades
+            if (!db.objectStoreNames.contains('models')) {
+                db.createObjectStore('models');
+            }
+            if (!db.objectStoreNames.contains('scans')) {
+                const scans = db.createObjectStore('scans', { keyPath: 'id', autoIncrement: true });
+                scans.createIndex('createdAt', 'createdAt');
+            }
+            if (!db.objectStoreNames.contains('downloads')) {
+                db.createObjectStore('downloads');
+            }
+        };
+
+        request.onsuccess = (e) => {
+            const db = e.target.result;
+            // Let a newer version of the app upgrade the schema
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+    });
+}
+
+async function withStore(storeName, mode, callback) {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+        let request;
+        try {
+            const tx = db.transaction(storeName, mode);
+            request = callback(tx.objectStore(storeName));
+
+            tx.oncomplete = () => {
+                db.close();
+                resolve(request?.result);
+            };
+            tx.onerror = tx.onabort = () => {
+                db.close();
+                reject(tx.error);
+            };
+        } catch (error) {
+            db.close();
+            reject(error);
+        }
+    });
+}
+
+export function dbGet(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+export function dbGetAll(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+// Returns the record key (useful for auto-increment stores)
+export function dbPut(storeName, value, key) {
+    return withStore(storeName, 'readwrite', store => key === undefined ? store.put(value) : store.put(value, key));
+}
+
+export function dbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,90 @@
+/**
+ * EstacaScan - Estimación de diámetro
+ * Convierte las cajas a milímetros con un objeto de largo conocido marcado en la foto
+ * (regla, tarjeta) y agrupa las estacas en un histograma y en los grados del comprador
+ */
+
+import { CONFIG } from './config.js';
+
+// ===============================================
+// Calibration
+// ===============================================
+// A calibration is a segment drawn over the reference: { x1, y1, x2, y2, lengthMm },
+// in image pixels. It is only valid for stakes on the same plane (the pile face).
+
+export function pixelsPerMm(calibration) {
+    if (!calibration || !(calibration.lengthMm > 0)) return null;
+    const length = Math.hypot(calibration.x2 - calibration.x1, calibration.y2 - calibration.y1);
+    return length > 0 ? length / calibration.lengthMm : null;
+}
+
+// A stake end is close to a circle, so its box is close to a square: average both sides
+export function estimateDiameter(det, pxPerMm) {
+    const size = ((det.x2 - det.x1) + (det.y2 - det.y1)) / 2;
+    return size / pxPerMm;
+}
+
+// ===============================================
+// Grades
+// ===============================================
+// Grades are given by their limits: [80, 100] -> '< 80', '80–100', '≥ 100'
+
+// "80, 100; 120" -> [80, 100, 120] (positive, sorted, without repeats)
+export function parseGradeBounds(text) {
+    const values = String(text)
+        .split(/[\s,;]+/)
+        .map(value => parseFloat(value))
+        .filter(value => Number.isFinite(value) && value > 0);
+    return [...new Set(values)].sort((a, b) => a - b);
+}
+
+export function gradeLabels(bounds) {
+    if (bounds.length === 0) return ['Todas'];
+    return [
+        `< ${bounds[0]}`,
+        ...bounds.slice(1).map((bound, i) => `${bounds[i]}–${bound}`),
+        `≥ ${bounds[bounds.length - 1]}`
+    ];
+}
+
+export function gradeIndex(diameter, bounds) {
+    return bounds.filter(bound => diameter >= bound).length;
+}
+
+// ===============================================
+// Summary
+// ===============================================
+// Fixed-width bars from the smallest to the largest diameter: [{ from, to, count }]
+export function diameterHistogram(diameters, binMm = CONFIG.DIAMETER_BIN_MM) {
+    if (diameters.length === 0) return [];
+
+    const first = Math.floor(Math.min(...diameters) / binMm);
+    const last = Math.floor(Math.max(...diameters) / binMm);
+    const bins = [];
+    for (let b = first; b <= last; b++) {
+        bins.push({ from: b * binMm, to: (b + 1) * binMm, count: 0 });
+    }
+    diameters.forEach(diameter => {
+        bins[Math.floor(diameter / binMm) - first].count++;
+    });
+    return bins;
+}
+
+// Statistics of diameters in mm, graded by `bounds`:
+// { count, meanMm, minMm, maxMm, histogram, grades: [{ label, count }] }
+export function summarizeDiameters(diameters, bounds) {
+    const grades = gradeLabels(bounds).map(label => ({ label, count: 0 }));
+    diameters.forEach(diameter => {
+        grades[gradeIndex(diameter, bounds)].count++;
+    });
+
+    const count = diameters.length;
+    return {
+        count,
+        meanMm: count > 0 ? diameters.reduce((sum, d) => sum + d, 0) / count : null,
+        minMm: count > 0 ? Math.min(...diameters) : null,
+        maxMm: count > 0 ? Math.max(...diameters) : null,
+        histogram: diameterHistogram(diameters),
+        grades
+    };
+}
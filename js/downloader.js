@@ -0,0 +1,200 @@
+/**
+ * EstacaScan - Descarga reanudable
+ * Descarga por partes con HTTP Range guardando cada parte en IndexedDB, reintenta con
+ * espera creciente y continúa donde quedó aunque se recargue la página.
+ * Compartida por la landing y el worker de inferencia (a través de model-cache.js)
+ */
+
+import { CONFIG } from './config.js';
+import { dbGet, dbPut, dbDelete } from './db.js';
+
+// ===============================================
+// Partial Download Storage
+// ===============================================
+// `downloads` store: '<name>/meta' -> { url, total, chunkSize, chunks }, '<name>/<i>' -> Uint8Array
+const metaKey = name => `${name}/meta`;
+const chunkKey = (name, index) => `${name}/${index}`;
+
+export async function clearDownload(name) {
+    try {
+        await dbDelete('downloads', IDBKeyRange.bound(`${name}/`, `${name}/\uffff`));
+    } catch (error) {
+        console.warn('Could not clear partial download:', error);
+    }
+}
+
+// ===============================================
+// Network Helpers
+// ===============================================
+class HttpError extends Error {
+    constructor(status) {
+        super(`HTTP ${status}`);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+
+    // Server hiccups and rate limits are worth retrying, a missing file is not
+    get retryable() {
+        return this.status >= 500 || this.status === 408 || this.status === 429;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves after `ms`, or earlier when the connection comes back
+function waitForNetwork(ms) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            globalThis.removeEventListener('online', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        globalThis.addEventListener('online', done);
+    });
+}
+
+function retryDelay(attempt) {
+    const delay = Math.min(CONFIG.DOWNLOAD_RETRY_MAX_MS, CONFIG.DOWNLOAD_RETRY_BASE_MS * 2 ** attempt);
+    return delay * (0.75 + Math.random() * 0.5); // Jitter so devices on the same tower don't sync up
+}
+
+// Runs `task` until it succeeds; network failures wait (reporting it) and try again forever
+async function withRetry(task, onWaiting) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (error.retryable === false) throw error;
+
+            const delay = retryDelay(attempt);
+            console.warn(`Download failed (attempt ${attempt + 1}), retrying in ${Math.round(delay)} ms:`, error);
+            onWaiting?.({ offline: navigator.onLine === false, retryIn: delay });
+
+            if (navigator.onLine === false) {
+                await waitForNetwork(delay);
+            } else {
+                await sleep(delay);
+            }
+        }
+    }
+}
+
+async function fetchRange(url, start, end) {
+    const response = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+    if (!response.ok) throw new HttpError(response.status);
+    return response;
+}
+
+// "bytes 0-2097151/36000000" -> 36000000
+function totalFromContentRange(response) {
+    const match = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Fallback for servers that ignore Range: plain streamed download, not resumable
+async function readWhole(response, total, onProgress) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress?.(loaded, total || loaded);
+    }
+
+    return concatChunks(chunks, loaded);
+}
+
+function concatChunks(chunks, length) {
+    const buffer = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        buffer.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return buffer;
+}
+
+// ===============================================
+// Resumable Download
+// ===============================================
+// Downloads `url` in CONFIG.DOWNLOAD_CHUNK_SIZE parts saved under `name`, so a dropped
+// connection or a reload only loses the part in flight. Resolves to the whole file as a
+// Uint8Array; the caller checks it and calls clearDownload(name) once it is stored.
+//   onProgress(loaded, total) - after every part
+//   onWaiting({ offline, retryIn }) - the download is paused until the network answers again
+export async function resumableDownload(name, url, { expectedSize = null, onProgress, onWaiting } = {}) {
+    const chunkSize = CONFIG.DOWNLOAD_CHUNK_SIZE;
+    let meta = await dbGet('downloads', metaKey(name)).catch(() => null);
+
+    // Parts of another file (an older model version) are useless
+    if (meta && (meta.url !== url || meta.chunkSize !== chunkSize ||
+        (expectedSize && meta.total !== expectedSize))) {
+        await clearDownload(name);
+        meta = null;
+    }
+
+    if (!meta) {
+        // The first part also tells the total size
+        const first = await withRetry(async () => {
+            const response = await fetchRange(url, 0, chunkSize - 1);
+            if (response.status === 206) {
+                return { total: totalFromContentRange(response), data: new Uint8Array(await response.arrayBuffer()) };
+            }
+            // Range not supported: the 200 response carries the whole file
+            return { whole: await readWhole(response, expectedSize, onProgress) };
+        }, onWaiting);
+
+        if (first.whole) return first.whole;
+
+        meta = { url, chunkSize, total: first.total || expectedSize, chunks: 1 };
+        if (!meta.total) throw new Error('El servidor no informó el tamaño del archivo');
+
+        await dbPut('downloads', first.data, chunkKey(name, 0));
+        await dbPut('downloads', meta, metaKey(name));
+    }
+
+    const count = Math.ceil(meta.total / chunkSize);
+    onProgress?.(Math.min(meta.total, meta.chunks * chunkSize), meta.total);
+
+    while (meta.chunks < count) {
+        const index = meta.chunks;
+        const start = index * chunkSize;
+        const end = Math.min(meta.total, start + chunkSize) - 1;
+
+        const data = await withRetry(async () => {
+            const response = await fetchRange(url, start, end);
+            if (response.status !== 206) {
+                await clearDownload(name);
+                throw Object.assign(new Error('El servidor dejó de aceptar descargas por partes'), { retryable: false });
+            }
+            const part = new Uint8Array(await response.arrayBuffer());
+            if (part.length !== end - start + 1) throw new Error('Parte incompleta');
+            return part;
+        }, onWaiting);
+
+        await dbPut('downloads', data, chunkKey(name, index));
+        meta.chunks = index + 1;
+        await dbPut('downloads', meta, metaKey(name));
+        onProgress?.(end + 1, meta.total);
+    }
+
+    // Put the parts back together
+    const chunks = [];
+    for (let i = 0; i < count; i++) {
+        const chunk = await dbGet('downloads', chunkKey(name, i));
+        if (!chunk) {
+            await clearDownload(name);
+            throw new Error('Faltan partes de la descarga, se reiniciará');
+        }
+        chunks.push(chunk);
+    }
+
+    return concatChunks(chunks, meta.total);
+}
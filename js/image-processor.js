@@ -0,0 +1,467 @@
+/**
+ * EstacaScan - Procesamiento de imagen
+ * Letterbox, decodificación de la salida YOLO v8, NMS y mosaicos
+ * Sin DOM: lo comparten el worker del navegador y la CLI de Node (cli/estacascan.mjs);
+ * cada uno dibuja el letterbox con lo que tenga (OffscreenCanvas, sharp)
+ */
+
+import { CONFIG } from './config.js';
+
+// ===============================================
+// Image Processor
+// ===============================================
+export class ImageProcessor {
+    // Letterbox geometry for feeding `region` of an image (the whole image by default) to a
+    // square model input; the caller draws it (OffscreenCanvas, sharp...) and calls toInput.
+    // Offsets are whole pixels so every platform pads the same way.
+    // `variant` (test-time augmentation): { scale } shrinks the image inside the input,
+    // { flipX } asks the caller to mirror it horizontally inside its rectangle.
+    static letterbox(imageWidth, imageHeight, targetSize = CONFIG.MODEL_INPUT_SIZE, region = null, variant = {}) {
+        const src = region || { x: 0, y: 0, width: imageWidth, height: imageHeight };
+
+        const scale = Math.min(targetSize / src.width, targetSize / src.height) * (variant.scale || 1);
+        const newWidth = Math.round(src.width * scale);
+        const newHeight = Math.round(src.height * scale);
+
+        return {
+            targetSize,
+            scale,
+            newWidth,
+            newHeight,
+            offsetX: Math.floor((targetSize - newWidth) / 2),
+            offsetY: Math.floor((targetSize - newHeight) / 2),
+            originalWidth: src.width,
+            originalHeight: src.height,
+            regionX: src.x,
+            regionY: src.y,
+            flipX: Boolean(variant.flipX)
+        };
+    }
+
+    // RGBA pixels of the letterboxed square -> normalized float32 tensor (RGB, NCHW)
+    static toInput(pixels, layout) {
+        const size = layout.targetSize;
+        const area = size * size;
+        const float32Data = new Float32Array(3 * area);
+
+        for (let i = 0; i < area; i++) {
+            float32Data[i] = pixels[i * 4] / 255.0;                // R
+            float32Data[area + i] = pixels[i * 4 + 1] / 255.0;     // G
+            float32Data[2 * area + i] = pixels[i * 4 + 2] / 255.0; // B
+        }
+
+        return {
+            ...layout,
+            data: float32Data,
+            shape: [1, 3, size, size]
+        };
+    }
+
+    static postprocess(output, preprocessInfo, thresholds = ImageProcessor.defaultThresholds()) {
+        const detections = ImageProcessor.decode(output, preprocessInfo, thresholds.confidence);
+
+        // Remove duplicates
+        return ImageProcessor.suppress(detections, thresholds);
+    }
+
+    static defaultThresholds() {
+        return {
+            confidence: CONFIG.CONFIDENCE_THRESHOLD,
+            doubt: CONFIG.DOUBT_THRESHOLD,
+            iou: CONFIG.IOU_THRESHOLD,
+            suppression: CONFIG.SUPPRESSION_METHOD,
+            softIou: CONFIG.SOFT_NMS_IOU,
+            sigma: CONFIG.SOFT_NMS_SIGMA,
+            wbfIou: CONFIG.WBF_IOU,
+            diouIou: CONFIG.DIOU_THRESHOLD
+        };
+    }
+
+    // Decode raw model output into boxes in original image coordinates (no NMS)
+    static decode(output, preprocessInfo, confidenceThreshold = CONFIG.CONFIDENCE_THRESHOLD) {
+        const { scale, offsetX, offsetY, originalWidth, originalHeight } = preprocessInfo;
+        const regionX = preprocessInfo.regionX || 0;
+        const regionY = preprocessInfo.regionY || 0;
+        const data = output.data;
+        const [batch, features, numDetections] = output.dims;
+
+        // YOLOv8 output format: [1, 5, 8400] where 5 = [x, y, w, h, conf]
+        // For detection models with classes: [1, 4+num_classes, 8400]
+        const detections = [];
+
+        for (let i = 0; i < numDetections; i++) {
+            // Get values for this detection
+            const x = data[i];
+            const y = data[numDetections + i];
+            const w = data[2 * numDetections + i];
+            const h = data[3 * numDetections + i];
+
+            // Confidence and class: the best class score (argmax) for multi-class models
+            let confidence = 0;
+            let classId = 0;
+            for (let c = 4; c < features; c++) {
+                const classConf = data[c * numDetections + i];
+                if (classConf > confidence) {
+                    confidence = classConf;
+                    classId = c - 4;
+                }
+            }
+
+            if (confidence < confidenceThreshold) continue;
+
+            // Convert from center/size to corner coordinates
+            let x1 = x - w / 2;
+            let y1 = y - h / 2;
+            let x2 = x + w / 2;
+            let y2 = y + h / 2;
+
+            // Remove letterbox offset and scale back to original
+            x1 = (x1 - offsetX) / scale;
+            y1 = (y1 - offsetY) / scale;
+            x2 = (x2 - offsetX) / scale;
+            y2 = (y2 - offsetY) / scale;
+
+            // Mirrored input (TTA): mirror the box back
+            if (preprocessInfo.flipX) {
+                [x1, x2] = [originalWidth - x2, originalWidth - x1];
+            }
+
+            // Clamp to image bounds
+            x1 = Math.max(0, Math.min(originalWidth, x1));
+            y1 = Math.max(0, Math.min(originalHeight, y1));
+            x2 = Math.max(0, Math.min(originalWidth, x2));
+            y2 = Math.max(0, Math.min(originalHeight, y2));
+
+            // Skip invalid boxes
+            if (x2 <= x1 || y2 <= y1) continue;
+
+            detections.push({
+                id: detections.length,
+                x1: x1 + regionX,
+                y1: y1 + regionY,
+                x2: x2 + regionX,
+                y2: y2 + regionY,
+                confidence,
+                classId
+            });
+        }
+
+        return detections;
+    }
+
+    // Keep only the output columns (candidate boxes) scoring at least minConfidence,
+    // so raw outputs can be stored and decoded again with other thresholds
+    static compactOutput(output, minConfidence = CONFIG.RAW_MIN_CONFIDENCE) {
+        const data = output.data;
+        const [batch, features, numDetections] = output.dims;
+
+        const kept = [];
+        for (let i = 0; i < numDetections; i++) {
+            for (let c = 4; c < features; c++) {
+                if (data[c * numDetections + i] >= minConfidence) {
+                    kept.push(i);
+                    break;
+                }
+            }
+        }
+
+        const compact = new Float32Array(features * kept.length);
+        for (let f = 0; f < features; f++) {
+            for (let k = 0; k < kept.length; k++) {
+                compact[f * kept.length + k] = data[f * numDetections + kept[k]];
+            }
+        }
+
+        return { data: compact, dims: [batch, features, kept.length] };
+    }
+
+    // Letterbox/region info needed to decode an output again (without the input tensor)
+    static decodeInfo(preprocessInfo) {
+        const { scale, offsetX, offsetY, originalWidth, originalHeight, regionX, regionY, flipX } = preprocessInfo;
+        return { scale, offsetX, offsetY, originalWidth, originalHeight, regionX, regionY, flipX };
+    }
+
+    // Final detections from stored raw outputs. Outputs of each TTA variant (`info.variant`,
+    // 0 when there is no TTA) are decoded on their own, then fused into one set of boxes
+    static detectionsFromOutputs(outputs, thresholds = ImageProcessor.defaultThresholds()) {
+        const passes = new Map();
+        outputs.forEach(entry => {
+            const variant = entry.info.variant || 0;
+            if (!passes.has(variant)) passes.set(variant, []);
+            passes.get(variant).push(entry);
+        });
+
+        const perPass = [...passes.entries()].map(([variant, entries]) =>
+            ImageProcessor.detectionsFromPass(entries, thresholds).map(det => ({ ...det, variant })));
+        if (perPass.length === 1) return perPass[0].map(({ variant, ...det }) => det);
+
+        // A stake seen by fewer variants ends up with a lower score (maybe a doubt),
+        // unless the original image already confirmed it
+        return ImageProcessor.weightedBoxFusion(perPass.flat(), CONFIG.TTA_FUSION_IOU, perPass.length, thresholds.doubt);
+    }
+
+    // Detections of one pass: one output for the whole image or region,
+    // several (one per tile) for sliced inference
+    static detectionsFromPass(outputs, thresholds) {
+        if (outputs.length === 1) {
+            return ImageProcessor.postprocess(outputs[0].output, outputs[0].info, thresholds);
+        }
+
+        const detections = [];
+        outputs.forEach(({ output, info }, tileIndex) => {
+            ImageProcessor.decode(output, info, thresholds.confidence).forEach(det => {
+                detections.push({ ...det, tileIndex });
+            });
+        });
+
+        // Join stakes split by tile seams, then suppress the remaining duplicates
+        const merged = ImageProcessor.mergeTileDetections(detections);
+        return ImageProcessor.suppress(merged, thresholds);
+    }
+
+    // Split the image into overlapping tiles of tileSize (edge tiles are shifted inwards)
+    static computeTiles(width, height, tileSize = CONFIG.TILE_SIZE, overlap = CONFIG.TILE_OVERLAP) {
+        const stride = Math.max(1, Math.round(tileSize * (1 - overlap)));
+
+        const starts = (length) => {
+            if (length <= tileSize) return [0];
+            const positions = [];
+            for (let p = 0; p + tileSize < length; p += stride) {
+                positions.push(p);
+            }
+            positions.push(length - tileSize);
+            return positions;
+        };
+
+        const tiles = [];
+        for (const y of starts(height)) {
+            for (const x of starts(width)) {
+                tiles.push({
+                    x, y,
+                    width: Math.min(tileSize, width),
+                    height: Math.min(tileSize, height)
+                });
+            }
+        }
+        return tiles;
+    }
+
+    // Merge boxes from different tiles that cover the same stake (cut by a seam)
+    static mergeTileDetections(detections, threshold = CONFIG.TILE_MERGE_THRESHOLD) {
+        detections.sort((a, b) => b.confidence - a.confidence);
+
+        const merged = [];
+        const absorbed = new Set();
+
+        for (let i = 0; i < detections.length; i++) {
+            if (absorbed.has(i)) continue;
+
+            const box = { ...detections[i] };
+
+            for (let j = i + 1; j < detections.length; j++) {
+                if (absorbed.has(j)) continue;
+
+                const other = detections[j];
+                if (other.tileIndex === detections[i].tileIndex) continue;
+
+                if (ImageProcessor.calculateIoS(box, other) > threshold) {
+                    box.x1 = Math.min(box.x1, other.x1);
+                    box.y1 = Math.min(box.y1, other.y1);
+                    box.x2 = Math.max(box.x2, other.x2);
+                    box.y2 = Math.max(box.y2, other.y2);
+                    absorbed.add(j);
+                }
+            }
+
+            delete box.tileIndex;
+            merged.push(box);
+        }
+
+        return merged.map((det, i) => ({ ...det, id: i }));
+    }
+
+    // ===============================================
+    // Duplicate Suppression
+    // ===============================================
+    // All strategies are class-agnostic: one stake is one box, whatever class scored best.
+    // Thresholds saved before the strategy was selectable have no `suppression`: classic NMS.
+    static suppress(detections, thresholds) {
+        const defaults = ImageProcessor.defaultThresholds();
+        const value = (key) => thresholds[key] ?? defaults[key];
+
+        switch (thresholds.suppression) {
+            case 'soft-linear':
+                return ImageProcessor.softNms(detections, {
+                    method: 'linear', iou: value('softIou'), minScore: thresholds.confidence
+                });
+            case 'soft-gaussian':
+                return ImageProcessor.softNms(detections, {
+                    method: 'gaussian', sigma: value('sigma'), minScore: thresholds.confidence
+                });
+            case 'wbf':
+                return ImageProcessor.weightedBoxFusion(detections, value('wbfIou'));
+            case 'diou':
+                return ImageProcessor.diouNms(detections, value('diouIou'));
+            default:
+                return ImageProcessor.nms(detections, thresholds.iou);
+        }
+    }
+
+    // Greedy NMS: the best box removes every box overlapping it more than iouThreshold
+    static nms(detections, iouThreshold) {
+        // Sort by confidence descending
+        detections.sort((a, b) => b.confidence - a.confidence);
+
+        const kept = [];
+        const suppressed = new Set();
+
+        for (let i = 0; i < detections.length; i++) {
+            if (suppressed.has(i)) continue;
+
+            kept.push(detections[i]);
+
+            for (let j = i + 1; j < detections.length; j++) {
+                if (suppressed.has(j)) continue;
+
+                const iou = ImageProcessor.calculateIoU(detections[i], detections[j]);
+                if (iou > iouThreshold) {
+                    suppressed.add(j);
+                }
+            }
+        }
+
+        return kept;
+    }
+
+    // Soft-NMS: overlapping boxes lose score instead of being removed, so a neighbouring
+    // stake touching a stronger one survives (possibly as a doubt). Linear decays by
+    // (1 - IoU) above `iou`; gaussian by exp(-IoU² / sigma). Boxes under minScore are dropped.
+    static softNms(detections, { method = 'gaussian', iou = CONFIG.SOFT_NMS_IOU, sigma = CONFIG.SOFT_NMS_SIGMA, minScore = 0 } = {}) {
+        let remaining = detections.map(det => ({ ...det }));
+        const kept = [];
+
+        while (remaining.length > 0) {
+            let best = 0;
+            for (let i = 1; i < remaining.length; i++) {
+                if (remaining[i].confidence > remaining[best].confidence) best = i;
+            }
+            const top = remaining.splice(best, 1)[0];
+            kept.push(top);
+
+            remaining.forEach(det => {
+                const overlap = ImageProcessor.calculateIoU(top, det);
+                det.confidence *= method === 'linear'
+                    ? (overlap > iou ? 1 - overlap : 1)
+                    : Math.exp(-(overlap * overlap) / sigma);
+            });
+            remaining = remaining.filter(det => det.confidence >= minScore);
+        }
+
+        return kept;
+    }
+
+    // DIoU-NMS: like greedy NMS but the overlap is penalized by the distance between
+    // centers, so two touching stakes (distinct centers) are not taken for one
+    static diouNms(detections, threshold) {
+        const sorted = [...detections].sort((a, b) => b.confidence - a.confidence);
+        const kept = [];
+
+        sorted.forEach(det => {
+            if (kept.every(other => ImageProcessor.calculateDIoU(other, det) <= threshold)) {
+                kept.push(det);
+            }
+        });
+
+        return kept;
+    }
+
+    // Weighted box fusion: boxes overlapping more than iouThreshold form a cluster that
+    // becomes one box, its coordinates averaged by confidence (instead of keeping only
+    // the best one), and its confidence the mean of the cluster. When fusing `passes`
+    // runs (TTA, boxes tagged with their `variant`), a cluster found by fewer variants
+    // is scaled down accordingly, but never below an original-image box (variant 0)
+    // scoring at least `keepFrom`.
+    static weightedBoxFusion(detections, iouThreshold, passes = 1, keepFrom = Infinity) {
+        const sorted = [...detections].sort((a, b) => b.confidence - a.confidence);
+        const clusters = [];
+
+        sorted.forEach(det => {
+            const cluster = clusters.find(c => ImageProcessor.calculateIoU(c.box, det) > iouThreshold);
+            if (!cluster) {
+                clusters.push({ members: [det], box: { ...det } });
+                return;
+            }
+
+            cluster.members.push(det);
+            const weight = cluster.members.reduce((sum, m) => sum + m.confidence, 0);
+            ['x1', 'y1', 'x2', 'y2'].forEach(key => {
+                cluster.box[key] = cluster.members.reduce((sum, m) => sum + m[key] * m.confidence, 0) / weight;
+            });
+            cluster.box.confidence = weight / cluster.members.length;
+        });
+
+        return clusters.map((cluster, i) => {
+            const { variant, ...box } = cluster.box;
+            const seen = new Set(cluster.members.map(m => m.variant || 0)).size;
+            const original = Math.max(0, ...cluster.members
+                .filter(m => !m.variant && m.confidence >= keepFrom)
+                .map(m => m.confidence));
+            return {
+                ...box,
+                confidence: Math.max(box.confidence * Math.min(seen, passes) / passes, original),
+                id: i
+            };
+        });
+    }
+
+    static calculateIoU(a, b) {
+        const x1 = Math.max(a.x1, b.x1);
+        const y1 = Math.max(a.y1, b.y1);
+        const x2 = Math.min(a.x2, b.x2);
+        const y2 = Math.min(a.y2, b.y2);
+
+        const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const areaA = (a.x2 - a.x1) * (a.y2 - a.y1);
+        const areaB = (b.x2 - b.x1) * (b.y2 - b.y1);
+        const union = areaA + areaB - intersection;
+
+        return intersection / union;
+    }
+
+    // IoU minus (center distance / diagonal of the enclosing box)²
+    static calculateDIoU(a, b) {
+        const centerDistance = ((a.x1 + a.x2) - (b.x1 + b.x2)) ** 2 / 4 + ((a.y1 + a.y2) - (b.y1 + b.y2)) ** 2 / 4;
+        const enclosingWidth = Math.max(a.x2, b.x2) - Math.min(a.x1, b.x1);
+        const enclosingHeight = Math.max(a.y2, b.y2) - Math.min(a.y1, b.y1);
+        const diagonal = enclosingWidth ** 2 + enclosingHeight ** 2;
+
+        return ImageProcessor.calculateIoU(a, b) - (diagonal > 0 ? centerDistance / diagonal : 0);
+    }
+
+    // Ray casting test; polygon is a list of { x, y } points
+    static pointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Intersection over the smaller box (a box cut by a tile edge is contained in the full one)
+    static calculateIoS(a, b) {
+        const x1 = Math.max(a.x1, b.x1);
+        const y1 = Math.max(a.y1, b.y1);
+        const x2 = Math.min(a.x2, b.x2);
+        const y2 = Math.min(a.y2, b.y2);
+
+        const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const areaA = (a.x2 - a.x1) * (a.y2 - a.y1);
+        const areaB = (b.x2 - b.x1) * (b.y2 - b.y1);
+
+        return intersection / Math.min(areaA, areaB);
+    }
+}
@@ -0,0 +1,460 @@
+/**
+ * EstacaScan - Worker de inferencia
+ * Carga el modelo, preprocesa, ejecuta ONNX Runtime y postprocesa fuera del hilo principal
+ *
+ * Protocolo (cada mensaje lleva el `id` del trabajo):
+ *   hilo principal -> worker: load { backend } | detect { bitmap, options: { tiled, tta, thresholds, crop } } | cancel
+ *   worker -> hilo principal: progress { text, progress, waiting } | result { ... } | error { name, message }
+ *   (`waiting`: la descarga del modelo está en pausa esperando red)
+ *
+ * `load` responde con { model: { version, sha256, inputSize, classNames, backend, benchmark, ... } };
+ * `backend` es 'auto' (el más rápido según la prueba de velocidad) o 'webgpu' | 'webgl' | 'wasm'.
+ * `detect` responde con { detections, outputs, timing }: las salidas crudas (compactadas) permiten
+ * recalcular las detecciones con otros umbrales sin volver a ejecutar el modelo; `timing`
+ * ({ passes, ms, baseMs }) mide cuánto más lento fue el análisis con `tta` (variantes).
+ */
+
+import { CONFIG } from './config.js';
+import { dbGet, dbPut } from './db.js';
+import { fetchModelManifest, getCachedModel, saveCachedModel, downloadModel, modelVersionLabel, waitingText } from './model-cache.js';
+import { ImageProcessor } from './image-processor.js';
+import { readOnnxMetadata, classNamesFromMetadata } from './onnx-metadata.js';
+
+// ===============================================
+// ONNX Runtime and Execution Backends
+// ===============================================
+// Also the fallback order: GPU first, WASM works everywhere
+const BACKENDS = ['webgpu', 'webgl', 'wasm'];
+const BACKEND_LABELS = { webgpu: 'WebGPU', webgl: 'WebGL', wasm: 'WASM' };
+const BENCHMARK_KEY = 'backend-benchmark'; // Saved in the `models` store, per model
+
+const ortModules = new Map();
+
+// Self-hosted runtime (precached by the service worker). WebGPU ships in its own
+// bundle; WebGL and WASM share the default one
+function loadOrt(backend = 'wasm') {
+    const path = backend === 'webgpu' ? CONFIG.ORT_WEBGPU_PATH : CONFIG.ORT_PATH;
+    if (!ortModules.has(path)) {
+        const promise = import(path).then(ort => {
+            configureWasm(ort);
+            return ort;
+        });
+        promise.catch(() => ortModules.delete(path)); // Let the next load try again
+        ortModules.set(path, promise);
+    }
+    return ortModules.get(path);
+}
+
+// Threads need cross-origin isolation (COOP/COEP in _headers); SIMD falls back by itself
+function wasmThreads() {
+    if (!self.crossOriginIsolated) return 1;
+    const cores = navigator.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(CONFIG.WASM_MAX_THREADS, Math.floor(cores / 2)));
+}
+
+function configureWasm(ort) {
+    ort.env.wasm.wasmPaths = CONFIG.ORT_WASM_PATH;
+    ort.env.wasm.simd = true;
+    ort.env.wasm.numThreads = wasmThreads();
+}
+
+async function availableBackends() {
+    const available = [];
+
+    if (navigator.gpu) {
+        try {
+            if (await navigator.gpu.requestAdapter()) available.push('webgpu');
+        } catch {
+            // No usable adapter
+        }
+    }
+
+    try {
+        const canvas = new OffscreenCanvas(1, 1);
+        if (canvas.getContext('webgl2') || canvas.getContext('webgl')) available.push('webgl');
+    } catch {
+        // No WebGL in workers on this browser
+    }
+
+    available.push('wasm');
+    return available;
+}
+
+// ===============================================
+// ONNX Model Manager
+// ===============================================
+class ONNXModelManager {
+    constructor() {
+        this.session = null;
+        this.ort = null;
+        this.modelBuffer = null; // Kept to create sessions on other backends
+        this.manifest = null; // Manifest of the loaded model (null if none was published)
+        this.classNames = CONFIG.CLASS_NAMES;
+        this.backend = null; // Backend the session runs on
+        this.preferred = 'auto'; // User choice: 'auto' (fastest measured) or a backend name
+        this.available = [];
+        this.benchmark = null; // [{ backend, ms, error }] from the warm-up benchmark
+        this.isLoading = false;
+    }
+
+    // What the main thread needs to know about the loaded model
+    get info() {
+        return {
+            version: this.manifest?.version || null,
+            sha256: this.manifest?.sha256 || null,
+            inputSize: this.inputSize,
+            classNames: this.classNames,
+            backend: this.backend,
+            preferred: this.preferred,
+            available: this.available,
+            benchmark: this.benchmark,
+            threads: wasmThreads()
+        };
+    }
+
+    get inputSize() {
+        return this.manifest?.inputSize || CONFIG.MODEL_INPUT_SIZE;
+    }
+
+    async loadModel(onProgress, preferred = this.preferred) {
+        if (this.session && preferred === this.preferred) return this.session;
+        if (this.isLoading) {
+            // Wait for existing load, then load again if it was for another backend
+            while (this.isLoading) {
+                await new Promise(r => setTimeout(r, 100));
+            }
+            return this.loadModel(onProgress, preferred);
+        }
+
+        this.isLoading = true;
+
+        try {
+            if (!this.modelBuffer) {
+                this.modelBuffer = await this.fetchModel(onProgress);
+
+                // Label list: manifest, then the names stored in the model, then the config
+                this.classNames = this.manifest?.classNames ||
+                    classNamesFromMetadata(readOnnxMetadata(this.modelBuffer)) ||
+                    CONFIG.CLASS_NAMES;
+            }
+
+            // Create ONNX session
+            onProgress?.('Inicializando modelo...', 80);
+
+            this.available = await availableBackends();
+            const order = preferred === 'auto'
+                ? await this.rankBackends(onProgress)
+                : [preferred, ...BACKENDS.filter(b => b !== preferred)];
+            await this.startSession(order.filter(b => this.available.includes(b)));
+            this.preferred = preferred;
+
+            onProgress?.('Modelo listo', 100);
+            console.log(`✓ ONNX model loaded successfully (${this.backend})`);
+
+            return this.session;
+
+        } catch (error) {
+            console.error('Error loading model:', error);
+            throw error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async fetchModel(onProgress) {
+        onProgress?.('Verificando caché del modelo...', 10);
+
+        // Only a cached copy matching the published manifest is used
+        const manifest = await fetchModelManifest();
+        const cached = await getCachedModel(manifest);
+        this.manifest = cached?.manifest || manifest;
+
+        if (cached) {
+            onProgress?.('Modelo cargado desde caché', 70);
+            return cached.buffer;
+        }
+
+        onProgress?.(`Descargando ${modelVersionLabel(manifest).toLowerCase()}...`, 20);
+
+        let percent = 20;
+        const modelBuffer = await downloadModel(manifest, (loaded, total) => {
+            percent = Math.min(70, 20 + (loaded / total) * 50);
+            onProgress?.(`Descargando modelo... ${Math.round(loaded / 1024 / 1024)}MB`, percent);
+        }, (waiting) => {
+            onProgress?.(waitingText(waiting), percent, true);
+        });
+
+        // Cache for future use
+        onProgress?.('Guardando en caché...', 75);
+        await saveCachedModel(modelBuffer, manifest);
+        return modelBuffer;
+    }
+
+    async createSession(backend) {
+        const ort = await loadOrt(backend);
+        const session = await ort.InferenceSession.create(this.modelBuffer, {
+            executionProviders: [backend],
+            graphOptimizationLevel: 'all'
+        });
+        return { ort, session };
+    }
+
+    // First backend of `order` that initializes; the others are the fallback
+    async startSession(order) {
+        await this.session?.release?.();
+        this.session = null;
+
+        for (const backend of order) {
+            try {
+                const { ort, session } = await this.createSession(backend);
+                this.ort = ort;
+                this.session = session;
+                this.backend = backend;
+                return;
+            } catch (error) {
+                console.warn(`Backend ${backend} failed to initialize, falling back:`, error);
+            }
+        }
+
+        this.backend = null;
+        throw new Error('Ningún motor de inferencia pudo iniciar el modelo');
+    }
+
+    // Fastest first, measured once per model and device (saved in IndexedDB)
+    async rankBackends(onProgress) {
+        const modelKey = this.manifest?.sha256 || this.manifest?.version || null;
+        const saved = await dbGet('models', BENCHMARK_KEY).catch(() => null);
+
+        if (saved && saved.model === modelKey && saved.available.join() === this.available.join()) {
+            this.benchmark = saved.results;
+        } else {
+            this.benchmark = [];
+            for (const backend of this.available) {
+                onProgress?.(`Midiendo velocidad: ${BACKEND_LABELS[backend]}...`, 80);
+                this.benchmark.push(await this.benchmarkBackend(backend));
+            }
+            await dbPut('models', { model: modelKey, available: this.available, results: this.benchmark }, BENCHMARK_KEY)
+                .catch(() => {});
+        }
+
+        const ranked = this.benchmark
+            .filter(result => result.ms !== null)
+            .sort((a, b) => a.ms - b.ms)
+            .map(result => result.backend);
+        return ranked.includes('wasm') ? ranked : [...ranked, 'wasm'];
+    }
+
+    // Warm-up run (shader compilation, allocations) and then the best of a few timed runs
+    async benchmarkBackend(backend) {
+        let session = null;
+        try {
+            const created = await this.createSession(backend);
+            session = created.session;
+
+            const size = this.inputSize;
+            const input = new created.ort.Tensor('float32', new Float32Array(3 * size * size), [1, 3, size, size]);
+            const feeds = { [session.inputNames[0]]: input };
+
+            await session.run(feeds);
+            const times = [];
+            for (let i = 0; i < CONFIG.BENCHMARK_RUNS; i++) {
+                const start = performance.now();
+                await session.run(feeds);
+                times.push(performance.now() - start);
+            }
+            return { backend, ms: Math.round(Math.min(...times)), error: null };
+
+        } catch (error) {
+            console.warn(`Backend ${backend} failed the benchmark:`, error);
+            return { backend, ms: null, error: error.message };
+        } finally {
+            await session?.release?.();
+        }
+    }
+
+    async runInference(imageData) {
+        if (!this.session) {
+            throw new Error('Model not loaded');
+        }
+
+        try {
+            return await this.run(imageData);
+        } catch (error) {
+            if (this.backend === 'wasm') throw error;
+
+            // A GPU backend can still fail on some operator: finish on the CPU
+            console.warn(`Backend ${this.backend} failed during inference, falling back to WASM:`, error);
+            await this.startSession(['wasm']);
+            return this.run(imageData);
+        }
+    }
+
+    async run(imageData) {
+        // Create input tensor
+        const inputTensor = new this.ort.Tensor('float32', imageData.data, imageData.shape);
+
+        // Run inference
+        const feeds = {};
+        feeds[this.session.inputNames[0]] = inputTensor;
+
+        const results = await this.session.run(feeds);
+
+        // Get output
+        const output = results[this.session.outputNames[0]];
+        return output;
+    }
+}
+
+const modelManager = new ONNXModelManager();
+
+// Ids of jobs cancelled by the main thread
+const cancelledJobs = new Set();
+
+function throwIfCancelled(id) {
+    if (cancelledJobs.has(id)) {
+        throw new DOMException('Análisis cancelado', 'AbortError');
+    }
+}
+
+// ===============================================
+// Detection
+// ===============================================
+// Draw `region` of the image letterboxed on an OffscreenCanvas and turn it into the model input
+function preprocess(img, region = null, variant = {}) {
+    const layout = ImageProcessor.letterbox(img.width, img.height, modelManager.inputSize, region, variant);
+    const { targetSize, regionX, regionY, originalWidth, originalHeight, newWidth, newHeight } = layout;
+
+    const canvas = new OffscreenCanvas(targetSize, targetSize);
+    const ctx = canvas.getContext('2d');
+
+    // Fill with gray (letterbox)
+    ctx.fillStyle = '#808080';
+    ctx.fillRect(0, 0, targetSize, targetSize);
+
+    // Mirrored variants flip the image inside its own rectangle
+    ctx.translate(layout.offsetX, layout.offsetY);
+    if (layout.flipX) {
+        ctx.translate(newWidth, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(img, regionX, regionY, originalWidth, originalHeight, 0, 0, newWidth, newHeight);
+
+    return ImageProcessor.toInput(ctx.getImageData(0, 0, targetSize, targetSize).data, layout);
+}
+
+// Each entry keeps the compacted raw output plus what is needed to decode it
+// again, so the main thread can re-tune thresholds without re-running the model
+async function runOnRegion(img, region = null, variant = {}) {
+    const preprocessed = preprocess(img, region, variant);
+    const output = await modelManager.runInference(preprocessed);
+    return {
+        output: ImageProcessor.compactOutput(output),
+        info: ImageProcessor.decodeInfo(preprocessed)
+    };
+}
+
+// Sliced inference: run the model on overlapping tiles at full resolution
+// (only inside `area` when the input is cropped to a region of interest)
+async function runTiled(id, img, onProgress, area = null, variant = {}) {
+    const bounds = area || { x: 0, y: 0, width: img.width, height: img.height };
+    const tiles = ImageProcessor.computeTiles(bounds.width, bounds.height)
+        .map(tile => ({ ...tile, x: tile.x + bounds.x, y: tile.y + bounds.y }));
+    const outputs = [];
+
+    for (let i = 0; i < tiles.length; i++) {
+        throwIfCancelled(id);
+        if (tiles.length > 1) {
+            onProgress(`Detectando estacas... mosaico ${i + 1} / ${tiles.length}`, 85 + (i / tiles.length) * 10);
+        }
+
+        // Small images fit in a single tile, no need to slice
+        outputs.push(await runOnRegion(img, tiles.length > 1 ? tiles[i] : area, variant));
+    }
+
+    return outputs;
+}
+
+async function detect(id, bitmap, options, onProgress) {
+    try {
+        await modelManager.loadModel(onProgress);
+        throwIfCancelled(id);
+
+        onProgress('Detectando estacas...', 85);
+
+        // Test-time augmentation: the same run on each variant, fused afterwards
+        const variants = options.tta ? CONFIG.TTA_VARIANTS : CONFIG.TTA_VARIANTS.slice(0, 1);
+        const outputs = [];
+        const start = performance.now();
+        let baseMs = 0;
+
+        for (let v = 0; v < variants.length; v++) {
+            throwIfCancelled(id);
+            if (variants.length > 1) {
+                onProgress(`Detectando estacas... variante ${v + 1} / ${variants.length}`, 85 + (v / variants.length) * 10);
+            }
+
+            const passStart = performance.now();
+            const passOutputs = options.tiled
+                ? await runTiled(id, bitmap, onProgress, options.crop, variants[v])
+                : [await runOnRegion(bitmap, options.crop, variants[v])];
+            if (v === 0) baseMs = performance.now() - passStart;
+
+            passOutputs.forEach(entry => {
+                entry.info.variant = v;
+            });
+            outputs.push(...passOutputs);
+        }
+
+        const thresholds = options.thresholds || ImageProcessor.defaultThresholds();
+        return {
+            detections: ImageProcessor.detectionsFromOutputs(outputs, thresholds),
+            outputs,
+            timing: {
+                passes: variants.length,
+                ms: Math.round(performance.now() - start),
+                baseMs: Math.round(baseMs)
+            }
+        };
+    } finally {
+        bitmap.close();
+    }
+}
+
+// ===============================================
+// Message Protocol
+// ===============================================
+self.addEventListener('message', async (e) => {
+    const { type, id } = e.data;
+
+    if (type === 'cancel') {
+        cancelledJobs.add(id);
+        return;
+    }
+
+    const onProgress = (text, progress, waiting = false) => {
+        self.postMessage({ type: 'progress', id, text, progress, waiting });
+    };
+
+    try {
+        let result;
+        let transfer = [];
+
+        if (type === 'load') {
+            await modelManager.loadModel(onProgress, e.data.backend);
+            result = { model: modelManager.info };
+        } else if (type === 'detect') {
+            result = await detect(id, e.data.bitmap, e.data.options || {}, onProgress);
+            transfer = result.outputs.map(({ output }) => output.data.buffer);
+        } else {
+            throw new Error(`Unknown message type: ${type}`);
+        }
+
+        throwIfCancelled(id);
+        self.postMessage({ type: 'result', id, ...result }, transfer);
+
+    } catch (error) {
+        self.postMessage({ type: 'error', id, name: error.name, message: error.message });
+    } finally {
+        cancelledJobs.delete(id);
+    }
+});
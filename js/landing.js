@@ -3,14 +3,8 @@
  * Precarga el modelo en background mientras muestra la animación
  */
 
-// ===============================================
-// Configuration (same as app.js)
-// ===============================================
-const CONFIG = {
-    MODEL_PATH: 'model/best.onnx',
-    DB_NAME: 'EstacaScanDB',
-    DB_VERSION: 1
-};
+import { registerServiceWorker } from './pwa.js';
+import { fetchModelManifest, getCachedModel, saveCachedModel, downloadModel, modelVersionLabel, waitingText } from './model-cache.js';
 
 // ===============================================
 // DOM Elements
@@ -45,125 +39,51 @@ function createParticles() {
 class ModelPreloader {
     constructor() {
         this.modelBuffer = null;
+        this.version = null;
         this.isReady = false;
     }
 
-    async getFromCache() {
-        return new Promise((resolve) => {
-            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
-
-            request.onerror = () => resolve(null);
-
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains('models')) {
-                    db.createObjectStore('models');
-                }
-            };
-
-            request.onsuccess = (e) => {
-                const db = e.target.result;
-                try {
-                    const tx = db.transaction('models', 'readonly');
-                    const store = tx.objectStore('models');
-                    const getReq = store.get('yolo-model');
-
-                    getReq.onsuccess = () => {
-                        resolve(getReq.result || null);
-                    };
-                    getReq.onerror = () => resolve(null);
-                } catch {
-                    resolve(null);
-                }
-            };
-        });
-    }
-
-    async saveToCache(buffer) {
-        return new Promise((resolve) => {
-            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
-
-            request.onerror = () => resolve(false);
-
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains('models')) {
-                    db.createObjectStore('models');
-                }
-            };
-
-            request.onsuccess = (e) => {
-                const db = e.target.result;
-                try {
-                    const tx = db.transaction('models', 'readwrite');
-                    const store = tx.objectStore('models');
-                    store.put(buffer, 'yolo-model');
-                    tx.oncomplete = () => resolve(true);
-                    tx.onerror = () => resolve(false);
-                } catch {
-                    resolve(false);
-                }
-            };
-        });
-    }
-
     async preload(onProgress) {
         try {
             onProgress('Verificando caché...', 10);
 
-            // Check cache first
-            let modelBuffer = await this.getFromCache();
+            // Check cache first (it must match the published manifest)
+            const manifest = await fetchModelManifest();
+            const cached = await getCachedModel(manifest);
+            this.version = modelVersionLabel(cached?.manifest || manifest);
 
-            if (modelBuffer) {
-                onProgress('Modelo en caché ✓', 100);
-                this.modelBuffer = modelBuffer;
+            if (cached) {
+                onProgress(`${this.version} en caché ✓`, 100);
+                this.modelBuffer = cached.buffer;
                 this.isReady = true;
                 return true;
             }
 
             // Download the model
-            onProgress('Descargando modelo...', 15);
+            onProgress(`Descargando ${this.version.toLowerCase()}...`, 15);
 
-            const response = await fetch(CONFIG.MODEL_PATH);
-            if (!response.ok) throw new Error('Failed to fetch model');
-
-            const contentLength = response.headers.get('content-length');
-            const total = parseInt(contentLength, 10) || 36000000;
-            let loaded = 0;
-
-            const reader = response.body.getReader();
-            const chunks = [];
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                chunks.push(value);
-                loaded += value.length;
-                const percent = Math.min(85, 15 + (loaded / total) * 70);
+            // Resumes where a previous visit left off; pauses while there is no network
+            let percent = 15;
+            const modelBuffer = await downloadModel(manifest, (loaded, total) => {
+                percent = Math.min(85, 15 + (loaded / total) * 70);
                 const mb = Math.round(loaded / 1024 / 1024);
                 onProgress(`Descargando... ${mb}MB`, percent);
-            }
-
-            // Combine chunks
-            modelBuffer = new Uint8Array(loaded);
-            let offset = 0;
-            for (const chunk of chunks) {
-                modelBuffer.set(chunk, offset);
-                offset += chunk.length;
-            }
+            }, (waiting) => {
+                onProgress(waitingText(waiting), percent, true);
+            });
 
             // Save to cache
             onProgress('Guardando en caché...', 90);
-            await this.saveToCache(modelBuffer);
+            await saveCachedModel(modelBuffer, manifest);
 
-            onProgress('Modelo listo ✓', 100);
+            onProgress(`${this.version} listo ✓`, 100);
             this.modelBuffer = modelBuffer;
             this.isReady = true;
             return true;
 
         } catch (error) {
             console.error('Error preloading model:', error);
-            onProgress('Error al cargar modelo', 0);
+            onProgress(`Error al cargar modelo: ${error.message}`, 0);
             return false;
         }
     }
@@ -174,9 +94,10 @@ class ModelPreloader {
 // ===============================================
 const preloader = new ModelPreloader();
 
-function updateProgress(text, percent) {
+function updateProgress(text, percent, waiting = false) {
     elements.modelStatusText.textContent = text;
     elements.modelProgressBar.style.width = `${percent}%`;
+    elements.modelStatus.classList.toggle('waiting', waiting);
 
     if (percent >= 100) {
         elements.modelStatus.classList.add('ready');
@@ -187,6 +108,7 @@ function updateProgress(text, percent) {
 async function init() {
     // Create background particles
     createParticles();
+    registerServiceWorker();
 
     // Start preloading the model
     const success = await preloader.preload(updateProgress);
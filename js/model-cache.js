@@ -0,0 +1,124 @@
+/**
+ * EstacaScan - Caché del modelo
+ * Manifiesto de versión, descarga (reanudable) y validación del modelo guardado en IndexedDB
+ * Compartido por la landing y el worker de inferencia
+ *
+ * model/manifest.json (publicado junto a best.onnx):
+ *   { "version": "1.0.0", "sha256": "<hex>", "size": <bytes>, "inputSize": 640, "classNames": ["estaca"] }
+ */
+
+import { CONFIG } from './config.js';
+import { dbGet, dbPut } from './db.js';
+import { resumableDownload, clearDownload } from './downloader.js';
+
+const MODEL_KEY = 'yolo-model';
+
+// ===============================================
+// Manifest
+// ===============================================
+// Null when it can't be fetched (offline, not published): the cached model is used as is
+export async function fetchModelManifest() {
+    try {
+        // The model folder is served as immutable, always revalidate the manifest
+        const response = await fetch(CONFIG.MODEL_MANIFEST_PATH, { cache: 'no-cache' });
+        if (!response.ok) return null;
+        return await response.json();
+    } catch {
+        return null;
+    }
+}
+
+export async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Size and hash check against a manifest (hash skipped where WebCrypto isn't available)
+export async function verifyModel(buffer, manifest) {
+    if (manifest.size && buffer.byteLength !== manifest.size) return false;
+    if (!manifest.sha256 || !globalThis.crypto?.subtle) return true;
+    return (await sha256Hex(buffer)) === manifest.sha256.toLowerCase();
+}
+
+// ===============================================
+// Cache
+// ===============================================
+// Resolves to { buffer, manifest } or null when there is no usable copy.
+// The copy must match the published manifest (or, offline, the one it was saved with)
+export async function getCachedModel(manifest) {
+    let entry;
+    try {
+        entry = await dbGet('models', MODEL_KEY);
+    } catch {
+        return null;
+    }
+    if (!entry) return null;
+
+    // Versions before the manifest stored the bare buffer
+    if (ArrayBuffer.isView(entry)) entry = { buffer: entry, manifest: null };
+
+    const expected = manifest || entry.manifest;
+    if (!expected) return entry;
+
+    return await verifyModel(entry.buffer, expected) ? { buffer: entry.buffer, manifest: expected } : null;
+}
+
+export async function saveCachedModel(buffer, manifest) {
+    try {
+        await dbPut('models', { buffer, manifest }, MODEL_KEY);
+        await clearDownload(MODEL_KEY); // The parts aren't needed anymore
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ===============================================
+// Download
+// ===============================================
+// Resumable download (see downloader.js) checked against the manifest.
+//   onProgress(loaded, total), onWaiting({ offline, retryIn }) while the network is down
+// One download at a time across pages, workers and the service worker (they share the
+// parts in IndexedDB): whoever waited gets the copy the other one saved.
+export async function downloadModel(manifest, onProgress, onWaiting) {
+    if (!globalThis.navigator?.locks) return downloadModelParts(manifest, onProgress, onWaiting);
+
+    return navigator.locks.request(MODEL_KEY, async () => {
+        const cached = await getCachedModel(manifest);
+        return cached ? cached.buffer : downloadModelParts(manifest, onProgress, onWaiting);
+    });
+}
+
+async function downloadModelParts(manifest, onProgress, onWaiting) {
+    // The version in the query skips a stale copy in the (immutable) HTTP cache
+    const url = manifest?.version
+        ? `${CONFIG.MODEL_PATH}?v=${encodeURIComponent(manifest.version)}`
+        : CONFIG.MODEL_PATH;
+
+    const buffer = await resumableDownload(MODEL_KEY, url, {
+        expectedSize: manifest?.size || null,
+        onProgress,
+        onWaiting
+    });
+
+    if (manifest && !(await verifyModel(buffer, manifest))) {
+        // A corrupt part would poison every retry, start over next time
+        await clearDownload(MODEL_KEY);
+        throw new Error('El modelo descargado no coincide con su manifiesto');
+    }
+
+    return buffer;
+}
+
+// Text for the "paused, waiting for network" state
+export function waitingText({ offline, retryIn }) {
+    const seconds = Math.ceil(retryIn / 1000);
+    return offline
+        ? 'Sin conexión · descarga en pausa, esperando red...'
+        : `Conexión inestable · reintentando en ${seconds} s...`;
+}
+
+// Short label for the UI ("Modelo v1.2.0", or just "Modelo" without a manifest)
+export function modelVersionLabel(manifest) {
+    return manifest?.version ? `Modelo v${manifest.version}` : 'Modelo';
+}
@@ -0,0 +1,87 @@
+/**
+ * EstacaScan - Metadatos del modelo ONNX
+ * Lee `metadata_props` del ModelProto (protobuf) sin ONNX Runtime; los modelos exportados
+ * con Ultralytics guardan ahí los nombres de clase (`names`)
+ */
+
+// ModelProto field 14: repeated StringStringEntryProto { key = 1, value = 2 }
+const METADATA_FIELD = 14;
+
+// ===============================================
+// Protobuf Reader (just enough to walk a message)
+// ===============================================
+function readVarint(bytes, pos) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+        byte = bytes[pos.offset++];
+        value += (byte & 0x7f) * 2 ** shift; // No bit ops: lengths can exceed 2^31
+        shift += 7;
+    } while (byte & 0x80);
+    return value;
+}
+
+// Calls onField(field, start, end) for each length-delimited field, skips the others
+function forEachField(bytes, start, end, onField) {
+    const pos = { offset: start };
+    while (pos.offset < end) {
+        const tag = readVarint(bytes, pos);
+        const field = Math.floor(tag / 8);
+        const wireType = tag % 8;
+
+        if (wireType === 0) {
+            readVarint(bytes, pos);
+        } else if (wireType === 1) {
+            pos.offset += 8;
+        } else if (wireType === 5) {
+            pos.offset += 4;
+        } else if (wireType === 2) {
+            const length = readVarint(bytes, pos);
+            onField(field, pos.offset, pos.offset + length);
+            pos.offset += length;
+        } else {
+            throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+}
+
+// ===============================================
+// Metadata
+// ===============================================
+// { key: value } of the model metadata ({} when there is none or it can't be read)
+export function readOnnxMetadata(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+    const metadata = {};
+
+    try {
+        forEachField(bytes, 0, bytes.length, (field, start, end) => {
+            if (field !== METADATA_FIELD) return;
+
+            let key = '';
+            let value = '';
+            forEachField(bytes, start, end, (entryField, entryStart, entryEnd) => {
+                const text = decoder.decode(bytes.subarray(entryStart, entryEnd));
+                if (entryField === 1) key = text;
+                else if (entryField === 2) value = text;
+            });
+            metadata[key] = value;
+        });
+    } catch (error) {
+        console.warn('Could not read ONNX metadata:', error);
+    }
+
+    return metadata;
+}
+
+// Ultralytics writes names as a Python dict: "{0: 'estaca', 1: 'pino'}"
+export function classNamesFromMetadata(metadata) {
+    if (!metadata.names) return null;
+
+    const names = [];
+    for (const [, index, name] of metadata.names.matchAll(/(\d+)\s*:\s*['"]([^'"]*)['"]/g)) {
+        names[Number(index)] = name;
+    }
+    return names.length > 0 ? Array.from(names, (name, i) => name ?? `clase ${i}`) : null;
+}
@@ -0,0 +1,80 @@
+/**
+ * EstacaScan - Aplicación instalable
+ * Registra el service worker (sw.js) y avisa cuando hay una versión nueva
+ */
+
+// ===============================================
+// Service Worker
+// ===============================================
+// `beforeUpdate` runs before reloading into the new version (e.g. save pending work)
+export async function registerServiceWorker({ beforeUpdate } = {}) {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        // A module, so it shares the model download code (js/model-cache.js)
+        const registration = await navigator.serviceWorker.register(new URL('../sw.js', import.meta.url), { type: 'module' });
+        let updateAccepted = false;
+
+        const offerUpdate = (worker) => {
+            showUpdateBanner(async () => {
+                updateAccepted = true;
+                await beforeUpdate?.();
+                worker.postMessage({ type: 'skip-waiting' });
+            });
+        };
+
+        // Installed on an earlier visit and still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+
+        // The first install also claims the page; only reload for an accepted update
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (updateAccepted) window.location.reload();
+        });
+
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+    }
+}
+
+// ===============================================
+// Update Prompt
+// ===============================================
+function showUpdateBanner(onUpdate) {
+    if (document.querySelector('.update-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.className = 'update-banner';
+
+    const text = document.createElement('span');
+    text.textContent = 'Hay una nueva versión disponible';
+
+    const button = document.createElement('button');
+    button.className = 'update-banner-btn';
+    button.textContent = 'Actualizar';
+    button.addEventListener('click', () => {
+        button.disabled = true;
+        button.textContent = 'Actualizando...';
+        onUpdate();
+    });
+
+    const close = document.createElement('button');
+    close.className = 'update-banner-close';
+    close.textContent = '×';
+    close.title = 'Más tarde';
+    close.addEventListener('click', () => banner.remove());
+
+    banner.append(text, button, close);
+    document.body.appendChild(banner);
+}
@@ -3,398 +3,452 @@
  * Aplicación web para detectar y contar estacas usando YOLO v8 con ONNX Runtime Web
  */
 
-// ===============================================
-// Configuration
-// ===============================================
-const CONFIG = {
-    // Model settings
-    MODEL_PATH: './model/best.onnx',
-    MODEL_INPUT_SIZE: 640,
-
-    // Detection thresholds
-    CONFIDENCE_THRESHOLD: 0.25,
-    DOUBT_THRESHOLD: 0.5,  // Below this = doubt
-    IOU_THRESHOLD: 0.45,
-
-    // Colors
-    COLORS: {
-        confirmed: '#10b981',
-        doubt: '#f59e0b',
-        rejected: '#ef4444'
-    },
-
-    // Cache settings
-    DB_NAME: 'EstacaScanDB',
-    DB_VERSION: 1
-};
+import { CONFIG } from './config.js';
+import { ImageProcessor } from './image-processor.js';
+import { dbGet, dbGetAll, dbPut, dbDelete } from './db.js';
+import { createDatasetZip } from './dataset.js';
+import { pixelsPerMm, estimateDiameter, summarizeDiameters, parseGradeBounds } from './diameter.js';
+import { randomSample, estimateTotal } from './audit.js';
+import { SpatialGrid } from './spatial-index.js';
+import { registerServiceWorker } from './pwa.js';
 
 // ===============================================
-// ONNX Model Manager
+// Inference Client (talks to the inference worker)
 // ===============================================
-class ONNXModelManager {
+class InferenceClient {
     constructor() {
-        this.session = null;
-        this.isLoading = false;
+        this.worker = null;
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.model = null; // { version, sha256, inputSize, classNames } once loaded
     }
 
-    async loadModel(onProgress) {
-        if (this.session) return this.session;
-        if (this.isLoading) {
-            // Wait for existing load
-            while (this.isLoading) {
-                await new Promise(r => setTimeout(r, 100));
-            }
-            return this.session;
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./inference-worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+            this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
         }
+        return this.worker;
+    }
 
-        this.isLoading = true;
-
-        try {
-            onProgress?.('Verificando caché del modelo...', 10);
+    request(type, payload = {}, onProgress = null, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, onProgress });
+            this.getWorker().postMessage({ type, id, ...payload }, transfer);
+        });
+    }
 
-            // Try to load from IndexedDB cache first
-            let modelBuffer = await this.getFromCache();
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return; // Cancelled or unknown job
+
+        if (message.type === 'progress') {
+            job.onProgress?.(message.text, message.progress, message.waiting);
+        } else if (message.type === 'result') {
+            this.jobs.delete(message.id);
+            job.resolve(message);
+        } else if (message.type === 'error') {
+            this.jobs.delete(message.id);
+            const error = new Error(message.message);
+            error.name = message.name;
+            job.reject(error);
+        }
+    }
 
-            if (!modelBuffer) {
-                onProgress?.('Descargando modelo (36 MB)...', 20);
+    handleWorkerError(e) {
+        console.error('Inference worker error:', e);
+        const error = new Error(e.message || 'Inference worker failed');
+        this.jobs.forEach(job => job.reject(error));
+        this.jobs.clear();
+        this.worker.terminate();
+        this.worker = null;
+    }
 
-                // Fetch the model
-                const response = await fetch(CONFIG.MODEL_PATH);
-                if (!response.ok) throw new Error('Failed to fetch model');
+    // backend: 'auto' or a backend name (see inference-worker.js)
+    async loadModel(onProgress, backend = 'auto') {
+        const { model } = await this.request('load', { backend }, onProgress);
+        this.model = model;
+        return model;
+    }
 
-                const contentLength = response.headers.get('content-length');
-                const total = parseInt(contentLength, 10) || 36000000;
-                let loaded = 0;
+    // The bitmap is transferred to the worker (and closed there), not copied.
+    // Resolves to { detections, outputs, timing } (outputs = compacted raw model outputs,
+    // timing = { passes, ms, baseMs } to tell how much slower TTA was)
+    async detect(bitmap, options, onProgress) {
+        const { detections, outputs, timing } = await this.request('detect', { bitmap, options }, onProgress, [bitmap]);
+        return { detections, outputs, timing };
+    }
 
-                // Read the stream with progress
-                const reader = response.body.getReader();
-                const chunks = [];
+    // Abort every pending job; the worker stops at its next checkpoint
+    cancel() {
+        this.jobs.forEach((job, id) => {
+            this.worker?.postMessage({ type: 'cancel', id });
+            job.reject(new DOMException('Análisis cancelado', 'AbortError'));
+        });
+        this.jobs.clear();
+    }
+}
 
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    chunks.push(value);
-                    loaded += value.length;
-                    const percent = Math.min(70, 20 + (loaded / total) * 50);
-                    onProgress?.(`Descargando modelo... ${Math.round(loaded / 1024 / 1024)}MB`, percent);
-                }
+// ===============================================
+// State Management
+// ===============================================
+class AppState {
+    constructor() {
+        this.reset();
+    }
 
-                // Combine chunks
-                modelBuffer = new Uint8Array(loaded);
-                let offset = 0;
-                for (const chunk of chunks) {
-                    modelBuffer.set(chunk, offset);
-                    offset += chunk.length;
-                }
+    reset() {
+        this.image = null;
+        this.imageData = null;
+        this.detections = [];
+        this.confirmedDetections = [];
+        this.rejectedDetections = [];
+        this.doubts = [];
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.addMode = false; // Mode for adding stakes manually
+        this.scan = null; // History record info once saved: { id, name, createdAt, thumbnail, image,
+                          // imageWidth, imageHeight (original photo), scale (shown / original size) }
+        this.thresholds = null; // Thresholds used for the run: { confidence, doubt, iou }
+        this.rawOutputs = null; // Compacted raw model outputs, to re-tune thresholds
+        this.undoStack = [];
+        this.redoStack = [];
+        this.regions = []; // Region-of-interest polygons ([{ x, y }, ...]); empty = whole image
+        this.regionDraft = []; // Points of the polygon being drawn
+        this.regionMode = false;
+        this.boxDraft = null; // Box being dragged out in add mode ({ x1, y1, x2, y2 })
+        this.model = null; // { version, sha256 } of the model that produced the detections
+        this.classNames = null; // Labels of that model (classId -> name)
+        this.calibration = null; // Reference segment for diameters: { x1, y1, x2, y2, lengthMm }
+        this.calibrationDraft = null; // Segment being dragged out in calibration mode
+        this.calibrationMode = false;
+        this.timing = null; // Last model run: { tta, passes, ms, baseMs }
+    }
 
-                // Cache for future use
-                onProgress?.('Guardando en caché...', 75);
-                await this.saveToCache(modelBuffer);
-            } else {
-                onProgress?.('Modelo cargado desde caché', 70);
-            }
+    // A detection counts when its center falls inside any region (or there are none)
+    inRegion(det) {
+        if (this.regions.length === 0) return true;
+        const cx = (det.x1 + det.x2) / 2;
+        const cy = (det.y1 + det.y2) / 2;
+        return this.regions.some(polygon => ImageProcessor.pointInPolygon(cx, cy, polygon));
+    }
 
-            // Create ONNX session
-            onProgress?.('Inicializando modelo...', 80);
+    get labels() {
+        return this.classNames || CONFIG.CLASS_NAMES;
+    }
 
-            // Import ONNX Runtime Web
-            const ort = await import('https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.0/dist/esm/ort.min.js');
+    get isMultiClass() {
+        return this.labels.length > 1;
+    }
 
-            // Configure ONNX Runtime
-            ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.0/dist/';
+    // Counted stakes per class, indexed by classId
+    get classCounts() {
+        const counts = this.labels.map(() => 0);
+        this.countedDetections.forEach(det => {
+            counts[det.classId || 0] = (counts[det.classId || 0] || 0) + 1;
+        });
+        return counts;
+    }
 
-            this.session = await ort.InferenceSession.create(modelBuffer.buffer, {
-                executionProviders: ['wasm'],
-                graphOptimizationLevel: 'all'
-            });
+    get pxPerMm() {
+        return pixelsPerMm(this.calibration);
+    }
 
-            onProgress?.('Modelo listo', 100);
-            console.log('✓ ONNX model loaded successfully');
+    // Estimated diameter in millimetres, null until calibrated
+    diameterOf(det) {
+        const pxPerMm = this.pxPerMm;
+        return pxPerMm ? estimateDiameter(det, pxPerMm) : null;
+    }
 
-            return this.session;
+    // Histogram and grade counts of the counted stakes, null until calibrated
+    diameterSummary(bounds) {
+        if (!this.pxPerMm) return null;
+        return summarizeDiameters(this.countedDetections.map(det => this.diameterOf(det)), bounds);
+    }
 
-        } catch (error) {
-            console.error('Error loading model:', error);
-            throw error;
-        } finally {
-            this.isLoading = false;
-        }
+    get countedDetections() {
+        return this.confirmedDetections.filter(d => this.inRegion(d));
     }
 
-    async getFromCache() {
-        return new Promise((resolve) => {
-            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+    get totalConfirmed() {
+        return this.countedDetections.length;
+    }
 
-            request.onerror = () => resolve(null);
+    get iaBase() {
+        const doubtThreshold = this.thresholds?.doubt ?? CONFIG.DOUBT_THRESHOLD;
+        return this.detections.filter(d => d.confidence >= doubtThreshold && this.inRegion(d)).length;
+    }
 
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains('models')) {
-                    db.createObjectStore('models');
-                }
-            };
-
-            request.onsuccess = (e) => {
-                const db = e.target.result;
-                try {
-                    const tx = db.transaction('models', 'readonly');
-                    const store = tx.objectStore('models');
-                    const getReq = store.get('yolo-model');
-
-                    getReq.onsuccess = () => {
-                        resolve(getReq.result || null);
-                    };
-                    getReq.onerror = () => resolve(null);
-                } catch {
-                    resolve(null);
-                }
-            };
-        });
+    get manuallyAccepted() {
+        return this.countedDetections.filter(d => d.wasDoubt).length;
     }
 
-    async saveToCache(buffer) {
-        return new Promise((resolve) => {
-            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+    get manuallyAdded() {
+        return this.countedDetections.filter(d => d.isManual).length;
+    }
 
-            request.onerror = () => resolve(false);
+    // Counted stakes the model confirmed on its own and nobody has checked
+    get unauditedDetections() {
+        return this.countedDetections.filter(d => !d.audited && !d.wasDoubt && !d.isManual);
+    }
 
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains('models')) {
-                    db.createObjectStore('models');
-                }
-            };
-
-            request.onsuccess = (e) => {
-                const db = e.target.result;
-                try {
-                    const tx = db.transaction('models', 'readwrite');
-                    const store = tx.objectStore('models');
-                    store.put(buffer, 'yolo-model');
-                    tx.oncomplete = () => resolve(true);
-                    tx.onerror = () => resolve(false);
-                } catch {
-                    resolve(false);
-                }
-            };
+    // Error rate and total interval from the audited stakes (right ones stay confirmed,
+    // false positives end up rejected), null until something was audited
+    get auditEstimate() {
+        const errors = this.rejectedDetections.filter(d => d.audited && this.inRegion(d)).length;
+        const sampled = this.countedDetections.filter(d => d.audited).length + errors;
+        if (sampled === 0) return null;
+        return estimateTotal({
+            total: this.totalConfirmed,
+            unaudited: this.unauditedDetections.length,
+            sampled,
+            errors
         });
     }
+}
 
-    async runInference(imageData) {
-        if (!this.session) {
-            throw new Error('Model not loaded');
-        }
+// ===============================================
+// Undo / Redo Commands
+// ===============================================
+// Moves one detection between AppState lists ('confirmedDetections', 'doubts',
+// 'rejectedDetections'). `fromList` is null for detections created by hand.
+class MoveDetectionCommand {
+    constructor(target, label, fromList, toList, detection, transform = det => det) {
+        this.target = target;
+        this.label = label;
+        this.fromList = fromList;
+        this.toList = toList;
+        this.original = detection;
+        this.moved = transform(detection);
+        this.fromIndex = -1;
+    }
 
-        const ort = await import('https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.0/dist/esm/ort.min.js');
+    execute() {
+        if (this.fromList) {
+            const list = this.target[this.fromList];
+            this.fromIndex = list.indexOf(this.original);
+            if (this.fromIndex !== -1) list.splice(this.fromIndex, 1);
+        }
+        this.target[this.toList].push(this.moved);
+    }
 
-        // Create input tensor
-        const inputTensor = new ort.Tensor('float32', imageData.data, imageData.shape);
+    undo() {
+        const list = this.target[this.toList];
+        const index = list.indexOf(this.moved);
+        if (index !== -1) list.splice(index, 1);
+        if (this.fromList && this.fromIndex !== -1) {
+            this.target[this.fromList].splice(this.fromIndex, 0, this.original);
+        }
+    }
+}
 
-        // Run inference
-        const feeds = {};
-        feeds[this.session.inputNames[0]] = inputTensor;
+// Changes fields of a detection in place (move / resize / class)
+class EditDetectionCommand {
+    constructor(target, label, detection, from, to) {
+        this.target = target;
+        this.label = label;
+        this.detection = detection;
+        this.from = from;
+        this.to = to;
+    }
 
-        const results = await this.session.run(feeds);
+    execute() {
+        Object.assign(this.detection, this.to);
+    }
 
-        // Get output
-        const output = results[this.session.outputNames[0]];
-        return output;
+    undo() {
+        Object.assign(this.detection, this.from);
     }
 }
 
-// ===============================================
-// Image Processor
-// ===============================================
-class ImageProcessor {
-    static preprocess(img, targetSize = CONFIG.MODEL_INPUT_SIZE) {
-        // Create canvas for preprocessing
-        const canvas = document.createElement('canvas');
-        canvas.width = targetSize;
-        canvas.height = targetSize;
-        const ctx = canvas.getContext('2d');
-
-        // Calculate letterbox dimensions
-        const scale = Math.min(targetSize / img.width, targetSize / img.height);
-        const newWidth = Math.round(img.width * scale);
-        const newHeight = Math.round(img.height * scale);
-        const offsetX = (targetSize - newWidth) / 2;
-        const offsetY = (targetSize - newHeight) / 2;
-
-        // Fill with gray (letterbox)
-        ctx.fillStyle = '#808080';
-        ctx.fillRect(0, 0, targetSize, targetSize);
-
-        // Draw scaled image
-        ctx.drawImage(img, offsetX, offsetY, newWidth, newHeight);
-
-        // Get image data
-        const imageData = ctx.getImageData(0, 0, targetSize, targetSize);
-        const pixels = imageData.data;
-
-        // Convert to float32 and normalize (RGB, NCHW format)
-        const float32Data = new Float32Array(3 * targetSize * targetSize);
-
-        for (let i = 0; i < targetSize * targetSize; i++) {
-            float32Data[i] = pixels[i * 4] / 255.0;                    // R
-            float32Data[targetSize * targetSize + i] = pixels[i * 4 + 1] / 255.0;     // G
-            float32Data[2 * targetSize * targetSize + i] = pixels[i * 4 + 2] / 255.0; // B
-        }
-
-        return {
-            data: float32Data,
-            shape: [1, 3, targetSize, targetSize],
-            scale: scale,
-            offsetX: offsetX,
-            offsetY: offsetY,
-            originalWidth: img.width,
-            originalHeight: img.height
-        };
+// Sets or clears the reference segment used to estimate diameters
+class SetCalibrationCommand {
+    constructor(target, label, calibration, previous = target.calibration) {
+        this.target = target;
+        this.label = label;
+        this.previous = previous;
+        this.calibration = calibration;
     }
 
-    static postprocess(output, preprocessInfo) {
-        const { scale, offsetX, offsetY, originalWidth, originalHeight } = preprocessInfo;
-        const data = output.data;
-        const [batch, features, numDetections] = output.dims;
+    execute() {
+        this.target.calibration = this.calibration;
+    }
 
-        // YOLOv8 output format: [1, 5, 8400] where 5 = [x, y, w, h, conf]
-        // For detection models with classes: [1, 4+num_classes, 8400]
-        const detections = [];
+    undo() {
+        this.target.calibration = this.previous;
+    }
+}
 
-        for (let i = 0; i < numDetections; i++) {
-            // Get values for this detection
-            const x = data[i];
-            const y = data[numDetections + i];
-            const w = data[2 * numDetections + i];
-            const h = data[3 * numDetections + i];
+// Replaces the region-of-interest polygons (add, clear, move a vertex)
+class SetRegionsCommand {
+    constructor(target, label, regions, previous = target.regions) {
+        this.target = target;
+        this.label = label;
+        this.previous = previous;
+        this.regions = regions;
+    }
 
-            // Get confidence (assuming single class or max class conf)
-            let confidence = 0;
-            if (features === 5) {
-                confidence = data[4 * numDetections + i];
-            } else {
-                // Multiple classes - get max
-                for (let c = 4; c < features; c++) {
-                    const classConf = data[c * numDetections + i];
-                    if (classConf > confidence) confidence = classConf;
-                }
-            }
+    execute() {
+        this.target.regions = this.regions;
+    }
 
-            if (confidence < CONFIG.CONFIDENCE_THRESHOLD) continue;
-
-            // Convert from center/size to corner coordinates
-            let x1 = x - w / 2;
-            let y1 = y - h / 2;
-            let x2 = x + w / 2;
-            let y2 = y + h / 2;
-
-            // Remove letterbox offset and scale back to original
-            x1 = (x1 - offsetX) / scale;
-            y1 = (y1 - offsetY) / scale;
-            x2 = (x2 - offsetX) / scale;
-            y2 = (y2 - offsetY) / scale;
-
-            // Clamp to image bounds
-            x1 = Math.max(0, Math.min(originalWidth, x1));
-            y1 = Math.max(0, Math.min(originalHeight, y1));
-            x2 = Math.max(0, Math.min(originalWidth, x2));
-            y2 = Math.max(0, Math.min(originalHeight, y2));
-
-            // Skip invalid boxes
-            if (x2 <= x1 || y2 <= y1) continue;
-
-            detections.push({
-                id: detections.length,
-                x1, y1, x2, y2,
-                confidence,
-                classId: 0
-            });
-        }
+    undo() {
+        this.target.regions = this.previous;
+    }
+}
 
-        // Apply NMS
-        return ImageProcessor.nms(detections, CONFIG.IOU_THRESHOLD);
+// Several commands done and undone as one step (bulk review decisions)
+class CompositeCommand {
+    constructor(target, label, commands) {
+        this.target = target;
+        this.label = label;
+        this.commands = commands;
     }
 
-    static nms(detections, iouThreshold) {
-        // Sort by confidence descending
-        detections.sort((a, b) => b.confidence - a.confidence);
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
 
-        const kept = [];
-        const suppressed = new Set();
+    undo() {
+        // Reverse order so list positions recorded by each command are valid again
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+}
 
-        for (let i = 0; i < detections.length; i++) {
-            if (suppressed.has(i)) continue;
+// ===============================================
+// Batch State (several photos of the same load)
+// ===============================================
+class BatchState {
+    constructor() {
+        this.items = [];
+        this.activeIndex = 0;
+    }
 
-            kept.push(detections[i]);
+    reset() {
+        this.items.forEach(item => URL.revokeObjectURL(item.url));
+        this.items = [];
+        this.activeIndex = 0;
+    }
 
-            for (let j = i + 1; j < detections.length; j++) {
-                if (suppressed.has(j)) continue;
+    get isBatch() {
+        return this.items.length > 1;
+    }
 
-                const iou = ImageProcessor.calculateIoU(detections[i], detections[j]);
-                if (iou > iouThreshold) {
-                    suppressed.add(j);
-                }
-            }
-        }
+    get doneItems() {
+        return this.items.filter(item => item.status === 'done');
+    }
 
-        return kept;
+    get grandTotal() {
+        return this.doneItems.reduce((sum, item) => sum + item.state.totalConfirmed, 0);
     }
+}
 
-    static calculateIoU(a, b) {
-        const x1 = Math.max(a.x1, b.x1);
-        const y1 = Math.max(a.y1, b.y1);
-        const x2 = Math.min(a.x2, b.x2);
-        const y2 = Math.min(a.y2, b.y2);
+// ===============================================
+// Detection Thresholds (user defaults in localStorage)
+// ===============================================
+const THRESHOLDS_STORAGE_KEY = 'estacascan-thresholds';
 
-        const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
-        const areaA = (a.x2 - a.x1) * (a.y2 - a.y1);
-        const areaB = (b.x2 - b.x1) * (b.y2 - b.y1);
-        const union = areaA + areaB - intersection;
+function loadThresholds() {
+    const defaults = ImageProcessor.defaultThresholds();
+    try {
+        const saved = JSON.parse(localStorage.getItem(THRESHOLDS_STORAGE_KEY));
+        return { ...defaults, ...saved };
+    } catch {
+        return defaults;
+    }
+}
 
-        return intersection / union;
+function saveThresholds(values) {
+    try {
+        localStorage.setItem(THRESHOLDS_STORAGE_KEY, JSON.stringify(values));
+    } catch {
+        // Storage full or disabled: the values still apply to this session
     }
 }
 
+// Thresholds for new analyses
+let thresholds = loadThresholds();
+
 // ===============================================
-// State Management
+// Diameter Settings (user defaults in localStorage)
 // ===============================================
-class AppState {
-    constructor() {
-        this.reset();
+const DIAMETER_STORAGE_KEY = 'estacascan-diameter';
+
+// { gradeBounds: number[], referenceMm: number }
+function loadDiameterSettings() {
+    const defaults = { gradeBounds: CONFIG.DIAMETER_GRADES_MM, referenceMm: CONFIG.CALIBRATION_DEFAULT_MM };
+    try {
+        const saved = JSON.parse(localStorage.getItem(DIAMETER_STORAGE_KEY));
+        return { ...defaults, ...saved };
+    } catch {
+        return defaults;
     }
+}
 
-    reset() {
-        this.image = null;
-        this.imageData = null;
-        this.detections = [];
-        this.confirmedDetections = [];
-        this.rejectedDetections = [];
-        this.doubts = [];
-        this.currentDoubtIndex = 0;
-        this.zoom = 1;
-        this.panX = 0;
-        this.panY = 0;
-        this.addMode = false; // Mode for adding stakes manually
+function saveDiameterSettings(values) {
+    try {
+        localStorage.setItem(DIAMETER_STORAGE_KEY, JSON.stringify(values));
+    } catch {
+        // Storage full or disabled: the values still apply to this session
     }
+}
 
-    get totalConfirmed() {
-        return this.confirmedDetections.length;
+let diameterSettings = loadDiameterSettings();
+
+// ===============================================
+// Inference Backend (user choice in localStorage)
+// ===============================================
+const BACKEND_STORAGE_KEY = 'estacascan-backend';
+const BACKEND_LABELS = { webgpu: 'WebGPU', webgl: 'WebGL', wasm: 'WASM' };
+
+function loadBackendPreference() {
+    try {
+        return localStorage.getItem(BACKEND_STORAGE_KEY) || 'auto';
+    } catch {
+        return 'auto';
     }
+}
 
-    get iaBase() {
-        return this.detections.filter(d => d.confidence >= CONFIG.DOUBT_THRESHOLD).length;
+function saveBackendPreference(value) {
+    try {
+        localStorage.setItem(BACKEND_STORAGE_KEY, value);
+    } catch {
+        // Storage full or disabled: the choice still applies to this session
     }
+}
 
-    get manuallyAccepted() {
-        return this.confirmedDetections.filter(d => d.wasDoubt).length;
+let backendPreference = loadBackendPreference();
+
+// ===============================================
+// Review Order (user choice in localStorage)
+// ===============================================
+const REVIEW_SORT_STORAGE_KEY = 'estacascan-review-sort';
+const REVIEW_SORTS = ['confidence', 'position', 'detection'];
+
+function loadReviewSort() {
+    try {
+        const saved = localStorage.getItem(REVIEW_SORT_STORAGE_KEY);
+        return REVIEW_SORTS.includes(saved) ? saved : 'confidence';
+    } catch {
+        return 'confidence';
     }
+}
 
-    get manuallyAdded() {
-        return this.confirmedDetections.filter(d => d.isManual).length;
+function saveReviewSort(value) {
+    try {
+        localStorage.setItem(REVIEW_SORT_STORAGE_KEY, value);
+    } catch {
+        // Storage full or disabled: the order still applies to this session
     }
 }
 
-const state = new AppState();
-const modelManager = new ONNXModelManager();
+// Active analysis (switches when another photo of the batch is opened)
+let state = new AppState();
+const batch = new BatchState();
+const inference = new InferenceClient();
 
 // ===============================================
 // DOM Elements
@@ -405,6 +459,7 @@ const elements = {
     screenLoading: document.getElementById('screen-loading'),
     screenResult: document.getElementById('screen-result'),
     screenReview: document.getElementById('screen-review'),
+    screenHistory: document.getElementById('screen-history'),
 
     // Upload
     uploadArea: document.getElementById('upload-area'),
@@ -412,18 +467,98 @@ const elements = {
     cameraInput: document.getElementById('camera-input'),
     btnCamera: document.getElementById('btn-camera'),
 
+    // Live camera
+    screenCamera: document.getElementById('screen-camera'),
+    liveVideo: document.getElementById('live-video'),
+    liveOverlay: document.getElementById('live-overlay'),
+    liveCount: document.getElementById('live-count'),
+    liveStatus: document.getElementById('live-status'),
+    btnLiveFreeze: document.getElementById('btn-live-freeze'),
+    btnLiveClose: document.getElementById('btn-live-close'),
+    btnLiveSystem: document.getElementById('btn-live-system'),
+    tiledToggle: document.getElementById('tiled-toggle'),
+    ttaToggle: document.getElementById('tta-toggle'),
+    ttaOption: document.getElementById('tta-option'),
+
     // Loading
     loadingText: document.getElementById('loading-text'),
     progressFill: document.getElementById('progress-fill'),
+    btnCancelAnalysis: document.getElementById('btn-cancel-analysis'),
 
     // Result
+    batchStrip: document.getElementById('batch-strip'),
     canvas: document.getElementById('canvas'),
+    imageLayer: document.getElementById('image-layer'),
     imageContainer: document.getElementById('image-container'),
     btnZoomIn: document.getElementById('btn-zoom-in'),
     btnZoomOut: document.getElementById('btn-zoom-out'),
     btnZoomReset: document.getElementById('btn-zoom-reset'),
     btnAddMode: document.getElementById('btn-add-mode'),
+    btnRegionMode: document.getElementById('btn-region-mode'),
+    regionPanel: document.getElementById('region-panel'),
+    btnRegionClose: document.getElementById('btn-region-close'),
+    btnRegionUndoPoint: document.getElementById('btn-region-undo-point'),
+    btnRegionClear: document.getElementById('btn-region-clear'),
+    btnRegionReanalyze: document.getElementById('btn-region-reanalyze'),
+    btnRegionDone: document.getElementById('btn-region-done'),
+    btnCalibrationMode: document.getElementById('btn-calibration-mode'),
+    calibrationPanel: document.getElementById('calibration-panel'),
+    calibrationLength: document.getElementById('calibration-length'),
+    gradeBounds: document.getElementById('grade-bounds'),
+    calibrationNote: document.getElementById('calibration-note'),
+    diameterSummary: document.getElementById('diameter-summary'),
+    diameterMean: document.getElementById('diameter-mean'),
+    diameterHistogram: document.getElementById('diameter-histogram'),
+    diameterAxisMin: document.getElementById('diameter-axis-min'),
+    diameterAxisMax: document.getElementById('diameter-axis-max'),
+    diameterGrades: document.getElementById('diameter-grades'),
+    btnCalibrationClear: document.getElementById('btn-calibration-clear'),
+    btnCalibrationDone: document.getElementById('btn-calibration-done'),
+    btnSettings: document.getElementById('btn-settings'),
+    settingsPanel: document.getElementById('settings-panel'),
+    backendSelect: document.getElementById('backend-select'),
+    backendInfo: document.getElementById('backend-info'),
+    confidenceSlider: document.getElementById('confidence-slider'),
+    confidenceValue: document.getElementById('confidence-value'),
+    doubtSlider: document.getElementById('doubt-slider'),
+    doubtValue: document.getElementById('doubt-value'),
+    iouSlider: document.getElementById('iou-slider'),
+    iouValue: document.getElementById('iou-value'),
+    suppressionSelect: document.getElementById('suppression-select'),
+    softIouSlider: document.getElementById('softIou-slider'),
+    softIouValue: document.getElementById('softIou-value'),
+    sigmaSlider: document.getElementById('sigma-slider'),
+    sigmaValue: document.getElementById('sigma-value'),
+    wbfIouSlider: document.getElementById('wbfIou-slider'),
+    wbfIouValue: document.getElementById('wbfIou-value'),
+    diouIouSlider: document.getElementById('diouIou-slider'),
+    diouIouValue: document.getElementById('diouIou-value'),
+    suppressionCompare: document.getElementById('suppression-compare'),
+    settingsNote: document.getElementById('settings-note'),
+    btnResetThresholds: document.getElementById('btn-reset-thresholds'),
+    btnUndo: document.getElementById('btn-undo'),
+    btnRedo: document.getElementById('btn-redo'),
     helpTip: document.getElementById('help-tip'),
+    btnExport: document.getElementById('btn-export'),
+
+    // Export
+    exportModal: document.getElementById('export-modal'),
+    btnExportClose: document.getElementById('btn-export-close'),
+    exportImageFormat: document.getElementById('export-image-format'),
+    exportNumbers: document.getElementById('export-numbers'),
+    btnExportDownload: document.getElementById('btn-export-download'),
+    btnExportShare: document.getElementById('btn-export-share'),
+    btnExportCsv: document.getElementById('btn-export-csv'),
+    btnExportJson: document.getElementById('btn-export-json'),
+    btnExportDataset: document.getElementById('btn-export-dataset'),
+    btnExportDatasetBatch: document.getElementById('btn-export-dataset-batch'),
+
+    // Training dataset
+    datasetModal: document.getElementById('dataset-modal'),
+    btnDatasetClose: document.getElementById('btn-dataset-close'),
+    datasetFormat: document.getElementById('dataset-format'),
+    datasetNegatives: document.getElementById('dataset-negatives'),
+    btnDatasetExport: document.getElementById('btn-dataset-export'),
 
     // Review
     reviewCanvas: document.getElementById('review-canvas'),
@@ -431,13 +566,45 @@ const elements = {
     reviewCount: document.getElementById('review-count'),
     btnReject: document.getElementById('btn-reject'),
     btnAccept: document.getElementById('btn-accept'),
+    btnReviewBack: document.getElementById('btn-review-back'),
+    btnSkip: document.getElementById('btn-skip'),
+    btnReviewFinish: document.getElementById('btn-review-finish'),
+    reviewTitle: document.getElementById('review-title'),
+    reviewSort: document.getElementById('review-sort'),
+    reviewBulk: document.getElementById('review-bulk'),
+    reviewBulkSlider: document.getElementById('review-bulk-slider'),
+    reviewBulkValue: document.getElementById('review-bulk-value'),
+    reviewBulkLabel: document.getElementById('review-bulk-label'),
+    btnReviewBulk: document.getElementById('btn-review-bulk'),
+    reviewSummaryModal: document.getElementById('review-summary-modal'),
+    reviewSummary: document.getElementById('review-summary'),
+    btnReviewContinue: document.getElementById('btn-review-continue'),
+    btnReviewDone: document.getElementById('btn-review-done'),
+
+    // History
+    btnHistory: document.getElementById('btn-history'),
+    modelVersion: document.getElementById('model-version'),
+    btnHistoryBack: document.getElementById('btn-history-back'),
+    btnHistoryDataset: document.getElementById('btn-history-dataset'),
+    historyList: document.getElementById('history-list'),
+    historyEmpty: document.getElementById('history-empty'),
 
     // Footer
     footer: document.getElementById('footer'),
     totalCount: document.getElementById('total-count'),
+    statBatch: document.getElementById('stat-batch'),
+    batchTotal: document.getElementById('batch-total'),
+    batchPhotos: document.getElementById('batch-photos'),
     acceptedCount: document.getElementById('accepted-count'),
     iaBaseCount: document.getElementById('ia-base-count'),
+    statClasses: document.getElementById('stat-classes'),
+    statGrades: document.getElementById('stat-grades'),
+    classSelect: document.getElementById('class-select'),
+    reviewClassField: document.getElementById('review-class-field'),
+    reviewClass: document.getElementById('review-class'),
     btnStartReview: document.getElementById('btn-start-review'),
+    btnStartAudit: document.getElementById('btn-start-audit'),
+    statAudit: document.getElementById('stat-audit'),
     doubtCount: document.getElementById('doubt-count'),
     btnNewAnalysis: document.getElementById('btn-new-analysis'),
 
@@ -452,7 +619,7 @@ const elements = {
 // Screen Management
 // ===============================================
 function showScreen(screenName) {
-    const screens = ['upload', 'loading', 'result', 'review'];
+    const screens = ['upload', 'loading', 'result', 'review', 'history', 'camera'];
     screens.forEach(name => {
         const screen = elements[`screen${name.charAt(0).toUpperCase() + name.slice(1)}`];
         if (screen) {
@@ -460,8 +627,11 @@ function showScreen(screenName) {
         }
     });
 
+    // History can't be opened while a photo is being analyzed
+    elements.btnHistory.disabled = screenName === 'loading';
+
     // Show/hide footer based on screen
-    if (screenName === 'upload' || screenName === 'loading') {
+    if (['upload', 'loading', 'history', 'camera'].includes(screenName)) {
         elements.footer.style.display = 'none';
     } else {
         elements.footer.style.display = 'flex';
@@ -486,6 +656,13 @@ function showToast(message, duration = 3000) {
 // ===============================================
 // Status Updates
 // ===============================================
+// `waiting`: the model download is paused until the network comes back
+function setLoadingProgress(text, progress, waiting = false) {
+    elements.loadingText.textContent = text;
+    elements.progressFill.style.width = `${progress}%`;
+    elements.screenLoading.classList.toggle('waiting', Boolean(waiting));
+}
+
 function setStatus(text, type = 'active') {
     const statusText = elements.status.querySelector('.status-text');
     statusText.textContent = text;
@@ -495,97 +672,280 @@ function setStatus(text, type = 'active') {
 // ===============================================
 // File Handling
 // ===============================================
-function handleFileSelect(file) {
-    if (!file || !file.type.startsWith('image/')) {
+function handleFilesSelect(fileList) {
+    const files = Array.from(fileList).filter(file => file.type.startsWith('image/'));
+
+    if (files.length === 0) {
         showToast('Por favor selecciona una imagen válida');
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-        state.imageData = e.target.result;
-        await processImage(e.target.result);
-    };
-    reader.readAsDataURL(file);
+    if (files.length < fileList.length) {
+        showToast(`${fileList.length - files.length} archivo(s) ignorado(s): no son imágenes`);
+    }
+
+    processBatch(files);
 }
 
 // ===============================================
 // Image Processing
 // ===============================================
-async function processImage(imageDataUrl) {
+async function processBatch(files) {
+    batch.reset();
+    batch.items = files.map(file => ({
+        name: file.name,
+        url: URL.createObjectURL(file),
+        thumbnail: null,
+        state: new AppState(),
+        status: 'pending'
+    }));
+
     showScreen('loading');
     setStatus('ANALIZANDO', 'loading');
 
     try {
-        // Load model first (if not cached, this downloads it)
-        await modelManager.loadModel((text, progress) => {
-            elements.loadingText.textContent = text;
-            elements.progressFill.style.width = `${progress}%`;
-        });
+        for (let i = 0; i < batch.items.length; i++) {
+            const item = batch.items[i];
+            const prefix = batch.isBatch ? `Foto ${i + 1} / ${batch.items.length} · ` : '';
+
+            item.status = 'processing';
+            try {
+                await processImage(item, (text, progress, waiting) => {
+                    setLoadingProgress(prefix + text, progress, waiting);
+                });
+                item.status = 'done';
+            } catch (error) {
+                if (error.name === 'AbortError' || !batch.isBatch) throw error;
+
+                // Keep going with the rest of the load
+                console.error(`Detection error (${item.name}):`, error);
+                showToast(`Error al analizar ${item.name}: ${error.message}`);
+                item.status = 'error';
+            }
+        }
+    } catch (error) {
+        const cancelled = error.name === 'AbortError';
+        if (cancelled) {
+            showToast('Análisis cancelado');
+        } else {
+            console.error('Detection error:', error);
+            showToast('Error al analizar la imagen: ' + error.message);
+        }
 
-        // Load image
-        elements.loadingText.textContent = 'Procesando imagen...';
-        const img = await loadImage(imageDataUrl);
-        state.image = img;
+        // Photos already analyzed are kept, the rest of the queue is dropped
+        batch.items
+            .filter(item => item.status !== 'done')
+            .forEach(item => URL.revokeObjectURL(item.url));
+        batch.items = batch.doneItems;
+
+        if (batch.items.length === 0) {
+            state = new AppState();
+            showScreen('upload');
+            if (cancelled) {
+                setStatus('LISTO', 'active');
+            } else {
+                setStatus('ERROR', 'error');
+            }
+            return;
+        }
+    }
 
-        // Run detection
-        elements.loadingText.textContent = 'Detectando estacas...';
-        elements.progressFill.style.width = '85%';
+    const firstDone = batch.items.findIndex(item => item.status === 'done');
+    if (firstDone === -1) {
+        state = new AppState();
+        showScreen('upload');
+        setStatus('ERROR', 'error');
+        return;
+    }
 
-        const preprocessed = ImageProcessor.preprocess(img);
-        const output = await modelManager.runInference(preprocessed);
-        const detections = ImageProcessor.postprocess(output, preprocessed);
+    // Show results
+    setTimeout(() => {
+        renderBatchStrip();
+        openBatchItem(firstDone);
+        setStatus('ANÁLISIS ACTIVO', 'active');
+        showTtaCost(batch.doneItems.map(item => item.state.timing));
+    }, 300);
+}
 
-        elements.progressFill.style.width = '95%';
+// ===============================================
+// Test-Time Augmentation
+// ===============================================
+// "~4× más lento" before running: one model pass per variant
+function updateTtaOption() {
+    const passes = CONFIG.TTA_VARIANTS.length;
+    elements.ttaOption.querySelector('span').textContent = `Análisis reforzado (TTA, ~${passes}× más lento)`;
+}
 
-        // Process results
-        processDetections(detections);
-        elements.progressFill.style.width = '100%';
+// After running: how much slower the TTA runs were than a single pass
+function showTtaCost(timings) {
+    const runs = timings.filter(timing => timing?.tta && timing.baseMs > 0);
+    if (runs.length === 0) return;
 
-        // Show results
-        setTimeout(() => {
-            showResults();
-            setStatus('ANÁLISIS ACTIVO', 'active');
-        }, 300);
+    const ms = runs.reduce((sum, timing) => sum + timing.ms, 0);
+    const baseMs = runs.reduce((sum, timing) => sum + timing.baseMs, 0);
+    const seconds = value => `${(value / 1000).toFixed(1)} s`;
+    showToast(`TTA: ${(ms / baseMs).toFixed(1)}× más lento (${seconds(ms)} en vez de ${seconds(baseMs)})`);
+}
 
-    } catch (error) {
-        console.error('Detection error:', error);
-        showToast('Error al analizar la imagen: ' + error.message);
-        showScreen('upload');
-        setStatus('ERROR', 'error');
-    }
+async function processImage(item, onProgress) {
+    state = item.state;
+    state.imageData = item.url;
+
+    // Load model first (if not cached, this downloads it)
+    await loadModel(onProgress);
+
+    // Load image
+    onProgress('Procesando imagen...', 80);
+    const img = await loadImage(item.url);
+    state.image = img;
+    item.thumbnail = createThumbnail(img);
+
+    // Run detection in the worker so the UI stays responsive
+    const bitmap = await createImageBitmap(img);
+    const tta = elements.ttaToggle.checked;
+    const { detections, outputs, timing } = await inference.detect(bitmap, {
+        tiled: elements.tiledToggle.checked,
+        tta,
+        thresholds
+    }, onProgress);
+    state.rawOutputs = outputs;
+    state.timing = { tta, ...timing };
+    recordModel(state);
+
+    onProgress('Procesando resultados...', 95);
+
+    // Process results
+    processDetections(detections, thresholds);
+
+    // Save to history right away, corrections update the same record later
+    onProgress('Guardando en historial...', 98);
+    await createScanRecord(item);
+    onProgress('Listo', 100);
+}
+
+// Load the model in the worker and show its version (and backend) in the header
+async function loadModel(onProgress) {
+    const model = await inference.loadModel(onProgress, backendPreference);
+    const version = model.version ? `Modelo v${model.version}` : 'Modelo sin versión';
+    elements.modelVersion.textContent = `${version} · ${BACKEND_LABELS[model.backend]}`;
+    elements.modelVersion.title = model.sha256 ? `SHA-256 ${model.sha256}` : 'El modelo no tiene manifiesto';
+    elements.modelVersion.classList.remove('hidden');
+    syncBackendSettings();
+    return model;
+}
+
+// What gets stored with each scan about the model that analyzed it
+function recordModel(target) {
+    const { version, sha256, classNames } = inference.model || {};
+    target.model = { version: version || null, sha256: sha256 || null };
+    target.classNames = classNames || null;
+}
+
+function cancelAnalysis() {
+    inference.cancel();
 }
 
 function loadImage(src) {
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.onload = () => resolve(img);
-        img.onerror = reject;
+        img.onerror = () => reject(new Error('No se pudo leer la imagen'));
         img.src = src;
     });
 }
 
+// Small JPEG preview of an image, as a data URL
+function createThumbnail(img, maxSize = 160, quality = 0.7) {
+    const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
 // ===============================================
 // Process Detections
 // ===============================================
-function processDetections(detections) {
+function processDetections(detections, runThresholds = thresholds) {
     state.detections = detections;
+    state.thresholds = { ...runThresholds };
     state.confirmedDetections = [];
     state.rejectedDetections = [];
     state.doubts = [];
 
     detections.forEach(det => {
-        if (det.confidence >= CONFIG.DOUBT_THRESHOLD) {
+        if (det.confidence >= runThresholds.doubt) {
             // High confidence - auto confirm
             state.confirmedDetections.push({ ...det, wasDoubt: false });
-        } else if (det.confidence >= CONFIG.CONFIDENCE_THRESHOLD) {
+        } else if (det.confidence >= runThresholds.confidence) {
             // Low confidence - mark as doubt
             state.doubts.push(det);
         }
         // Below CONFIDENCE_THRESHOLD - ignore
     });
 
-    state.currentDoubtIndex = 0;
+}
+
+// Re-run postprocessing/NMS on the stored raw outputs with new thresholds.
+// User decisions (manual stakes, accepted doubts, audited stakes, rejections) are kept as they are;
+// new candidates overlapping one of them are the same stake and are dropped.
+function retuneDetections(newThresholds) {
+    if (!state.rawOutputs) return false;
+
+    const candidates = ImageProcessor.detectionsFromOutputs(state.rawOutputs, newThresholds);
+    applyCandidates(candidates, newThresholds);
+    return true;
+}
+
+// Replace the model detections keeping the user's decisions (see retuneDetections)
+function applyCandidates(candidates, newThresholds) {
+    const decided = {
+        confirmed: state.confirmedDetections.filter(det => det.isManual || det.wasDoubt || det.audited),
+        rejected: state.rejectedDetections
+    };
+    const decidedAll = [...decided.confirmed, ...decided.rejected];
+
+    processDetections(candidates, newThresholds);
+
+    const isDecided = (det) => decidedAll.some(other =>
+        ImageProcessor.calculateIoU(det, other) > CONFIG.RETUNE_MATCH_IOU
+    );
+    state.confirmedDetections = [
+        ...state.confirmedDetections.filter(det => !isDecided(det)),
+        ...decided.confirmed
+    ];
+    state.doubts = state.doubts.filter(det => !isDecided(det));
+    state.rejectedDetections = [...decided.rejected];
+    remapHistory(state);
+}
+
+// After a re-tune the model boxes are new objects (decided ones are kept as they are):
+// commands pointing at a box that is gone now point at the one that replaced it (the
+// same stake, see RETUNE_MATCH_IOU), so undo and redo keep working
+function remapHistory(target) {
+    const current = DETECTION_LISTS.flatMap(list => target[list]);
+    const present = new Set(current);
+    let grid = null;
+
+    const replacement = (det, except = null) => {
+        if (present.has(det)) return det;
+        grid ??= SpatialGrid.fromItems(current);
+        return grid.query(det.x1, det.y1, det.x2, det.y2).find(other =>
+            other !== except && ImageProcessor.calculateIoU(det, other) > CONFIG.RETUNE_MATCH_IOU
+        ) || det;
+    };
+    const remap = (command) => {
+        if (command instanceof CompositeCommand) {
+            command.commands.forEach(remap);
+        } else if (command instanceof EditDetectionCommand) {
+            command.detection = replacement(command.detection);
+        } else if (command instanceof MoveDetectionCommand && command.fromList) {
+            command.original = replacement(command.original, command.moved);
+        }
+    };
+
+    [...target.undoStack, ...target.redoStack].forEach(remap);
 }
 
 // ===============================================
@@ -607,58 +967,411 @@ function showResults() {
     elements.btnNewAnalysis.classList.remove('hidden');
 }
 
+// Downscaled JPEG copy of an image, as a Blob (for the scan history)
+function createImageBlob(img, maxSize = CONFIG.HISTORY_IMAGE_MAX_SIZE, quality = CONFIG.HISTORY_IMAGE_QUALITY) {
+    const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+}
+
 // ===============================================
-// Canvas Drawing
+// Batch Thumbnail Strip
 // ===============================================
-function drawCanvas() {
-    const ctx = elements.canvas.getContext('2d');
-    const img = state.image;
+function renderBatchStrip() {
+    elements.batchStrip.innerHTML = '';
+    elements.batchStrip.classList.toggle('hidden', !batch.isBatch);
+
+    batch.items.forEach((item, index) => {
+        const thumb = document.createElement('button');
+        thumb.className = 'batch-thumb';
+        thumb.classList.toggle('error', item.status !== 'done');
+        thumb.title = item.name;
+
+        if (item.thumbnail) {
+            const img = document.createElement('img');
+            img.src = item.thumbnail;
+            img.alt = item.name;
+            thumb.appendChild(img);
+        }
 
-    // Set canvas size
-    elements.canvas.width = img.width;
-    elements.canvas.height = img.height;
+        const count = document.createElement('span');
+        count.className = 'batch-thumb-count';
+        count.textContent = item.status === 'done' ? item.state.totalConfirmed : '!';
+        thumb.appendChild(count);
 
-    // Apply zoom and pan
-    ctx.save();
-    ctx.scale(state.zoom, state.zoom);
-    ctx.translate(state.panX, state.panY);
+        thumb.addEventListener('click', () => openBatchItem(index));
+        elements.batchStrip.appendChild(thumb);
+    });
+}
 
-    // Draw image
-    ctx.drawImage(img, 0, 0);
+function updateBatchStats() {
+    elements.statBatch.classList.toggle('hidden', !batch.isBatch);
+    if (!batch.isBatch) return;
 
-    // Draw confirmed detections (green)
-    state.confirmedDetections.forEach(det => {
-        drawBox(ctx, det, CONFIG.COLORS.confirmed);
-    });
+    elements.batchTotal.textContent = batch.grandTotal;
+    elements.batchPhotos.textContent = `${batch.doneItems.length} FOTOS`;
 
-    // Draw doubts (yellow)
-    state.doubts.forEach(det => {
-        drawBox(ctx, det, CONFIG.COLORS.doubt);
+    Array.from(elements.batchStrip.children).forEach((thumb, index) => {
+        const item = batch.items[index];
+        thumb.classList.toggle('active', index === batch.activeIndex);
+        if (item.status === 'done') {
+            thumb.querySelector('.batch-thumb-count').textContent = item.state.totalConfirmed;
+        }
     });
+}
 
-    // Draw rejected (red, with X)
-    state.rejectedDetections.forEach(det => {
-        drawBox(ctx, det, CONFIG.COLORS.rejected, true);
-    });
+function openBatchItem(index) {
+    const item = batch.items[index];
+    if (!item || item.status !== 'done') {
+        showToast('Esta foto no se pudo analizar');
+        return;
+    }
 
-    ctx.restore();
+    batch.activeIndex = index;
+    state = item.state;
+
+    // Add mode is per photo; start each one with it off
+    state.addMode = false;
+    elements.btnAddMode.classList.remove('active');
+    elements.imageContainer.classList.remove('add-mode');
+    state.regionMode = false;
+    state.regionDraft = [];
+    updateRegionPanel();
+    state.calibrationMode = false;
+    updateCalibrationPanel();
+
+    showResults();
+    syncSettingsPanel();
 }
 
-function drawBox(ctx, det, color, isRejected = false) {
-    const { x1, y1, x2, y2 } = det;
-    const width = x2 - x1;
-    const height = y2 - y1;
+// ===============================================
+// Canvas Drawing
+// ===============================================
+// Two layers the size of the container instead of one canvas the size of the photo:
+// the photo (#image-layer, drawn from a downscaled pyramid and only when the view moves)
+// and the boxes on top (#canvas, which also takes the clicks). Changes only ask for a
+// frame; requestAnimationFrame folds every change between two frames into one redraw.
+const DETECTION_LISTS = ['confirmedDetections', 'rejectedDetections', 'doubts']; // Hit-test priority
+
+let renderFrame = 0;
+let detectionGrid = null;  // { target, grid }: spatial index of the boxes, null when stale
+let imagePyramid = null;   // { image, levels: [{ source, scale }] }: halved copies of the photo
+let imageLayerView = null; // { image, key }: what the photo layer shows now
+
+// Detections, regions or calibration changed: every change to them ends up here
+function drawCanvas() {
+    detectionGrid = null;
+    requestRender();
+}
 
-    // Draw box
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 3;
-    ctx.strokeRect(x1, y1, width, height);
+// Same boxes, new view (zoom, pan, resize)
+function requestRender() {
+    if (!renderFrame) renderFrame = requestAnimationFrame(renderCanvas);
+}
 
-    // Draw corner markers
-    const cornerSize = Math.min(15, width * 0.2, height * 0.2);
-    ctx.fillStyle = color;
+// Where the photo sits in the container: fitted like CSS `contain` (never enlarged),
+// then zoomed from its corner and panned in image pixels.
+//   cssScale - CSS pixels per image pixel; left / top - CSS position of the image origin
+function canvasView() {
+    const img = state.image;
+    const width = elements.imageContainer.clientWidth;
+    const height = elements.imageContainer.clientHeight;
+    const fit = Math.min(1, width / img.width, height / img.height);
+    const cssScale = fit * state.zoom;
+
+    return {
+        width,
+        height,
+        dpr: Math.min(window.devicePixelRatio || 1, CONFIG.RENDER_MAX_DPR),
+        cssScale,
+        left: (width - img.width * fit) / 2 + state.panX * cssScale,
+        top: (height - img.height * fit) / 2 + state.panY * cssScale
+    };
+}
 
-    // Top-left
+function renderCanvas() {
+    renderFrame = 0;
+    if (!state.image || elements.screenResult.classList.contains('hidden')) return;
+
+    const view = canvasView();
+    if (view.width === 0 || view.height === 0) return;
+
+    [elements.imageLayer, elements.canvas].forEach(canvas => {
+        const width = Math.round(view.width * view.dpr);
+        const height = Math.round(view.height * view.dpr);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+            if (canvas === elements.imageLayer) imageLayerView = null; // Resizing clears it
+        }
+    });
+
+    renderImageLayer(view);
+    renderOverlay(view);
+}
+
+// Part of the photo inside the container, in image pixels
+function visibleImageRect(view) {
+    const img = state.image;
+    return {
+        x1: Math.max(0, -view.left / view.cssScale),
+        y1: Math.max(0, -view.top / view.cssScale),
+        x2: Math.min(img.width, (view.width - view.left) / view.cssScale),
+        y2: Math.min(img.height, (view.height - view.top) / view.cssScale)
+    };
+}
+
+function renderImageLayer(view) {
+    const img = state.image;
+    const levels = pyramidLevels(img);
+    const key = [view.width, view.height, view.dpr, view.cssScale, view.left, view.top, levels.length].join();
+    if (imageLayerView?.image === img && imageLayerView.key === key) return;
+    imageLayerView = { image: img, key };
+
+    const ctx = elements.imageLayer.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, elements.imageLayer.width, elements.imageLayer.height);
+
+    const { x1, y1, x2, y2 } = visibleImageRect(view);
+    if (x2 <= x1 || y2 <= y1) return;
+
+    // Smallest copy that still has a pixel for every device pixel
+    const scale = view.cssScale * view.dpr;
+    const level = levels.reduce((best, candidate) => candidate.scale >= scale ? candidate : best, levels[0]);
+
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(level.source,
+        x1 * level.scale, y1 * level.scale, (x2 - x1) * level.scale, (y2 - y1) * level.scale,
+        (view.left + x1 * view.cssScale) * view.dpr, (view.top + y1 * view.cssScale) * view.dpr,
+        (x2 - x1) * scale, (y2 - y1) * scale);
+}
+
+function renderOverlay(view) {
+    const ctx = elements.canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, elements.canvas.width, elements.canvas.height);
+
+    // Image pixels from here on, like the exported image
+    const scale = view.cssScale * view.dpr;
+    ctx.setTransform(scale, 0, 0, scale, view.left * view.dpr, view.top * view.dpr);
+
+    const { x1, y1, x2, y2 } = visibleImageRect(view);
+    const visible = new Set(detectionGridOf(state).query(x1, y1, x2, y2).map(entry => entry.det));
+
+    drawRegions(ctx, state, state.regionMode);
+    drawDetections(ctx, state, visible);
+    drawCalibration(ctx, state, state.calibrationMode);
+    if (state.addMode) drawBoxEditing(ctx, state);
+}
+
+// Every box with the list it is in, in hit-test priority order (see DETECTION_LISTS)
+function detectionGridOf(target) {
+    if (detectionGrid?.target !== target) {
+        const entries = DETECTION_LISTS.flatMap(list => target[list].map(det => ({ det, list })));
+        const minCellSize = Math.max(target.image.width, target.image.height) / CONFIG.RENDER_GRID_MAX_CELLS;
+        detectionGrid = { target, grid: SpatialGrid.fromItems(entries, entry => entry.det, minCellSize) };
+    }
+    return detectionGrid.grid;
+}
+
+// Copies of the photo halved down to RENDER_PYRAMID_MIN_SIZE, built in the background
+// once per photo; until they are ready the full image is drawn
+function pyramidLevels(img) {
+    if (imagePyramid?.image !== img) {
+        imagePyramid?.levels.slice(1).forEach(level => level.source.close());
+        imagePyramid = { image: img, levels: [{ source: img, scale: 1 }] };
+        buildImagePyramid(imagePyramid);
+    }
+    return imagePyramid.levels;
+}
+
+async function buildImagePyramid(pyramid) {
+    let source = pyramid.image;
+    let width = source.width;
+    let height = source.height;
+
+    try {
+        while (Math.max(width, height) / 2 >= CONFIG.RENDER_PYRAMID_MIN_SIZE) {
+            // Halving the previous level keeps the downscale smooth
+            width = Math.round(width / 2);
+            height = Math.round(height / 2);
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(source, 0, 0, width, height);
+            source = await createImageBitmap(canvas);
+
+            // iOS caps the memory of live canvases, not of bitmaps: let the canvas go now
+            canvas.width = 0;
+            canvas.height = 0;
+
+            if (imagePyramid !== pyramid) {
+                source.close(); // Another photo is on screen already
+                return;
+            }
+            pyramid.levels.push({ source, scale: width / pyramid.image.width });
+            requestRender();
+        }
+    } catch (error) {
+        console.warn('Could not build the display pyramid:', error);
+    }
+}
+
+// `visible`: only these detections (the ones on screen), or all of them
+function drawDetections(ctx, target, visible = null) {
+    const shown = detections => visible ? detections.filter(det => visible.has(det)) : detections;
+
+    // Detections outside the region of interest are dimmed
+    const drawAll = (detections, color, isRejected = false) => {
+        shown(detections).forEach(det => {
+            ctx.globalAlpha = target.inRegion(det) ? 1 : 0.3;
+            drawBox(ctx, det, color, isRejected);
+        });
+        ctx.globalAlpha = 1;
+    };
+
+    // Draw confirmed detections (green, or one color per class)
+    shown(target.confirmedDetections).forEach(det => {
+        ctx.globalAlpha = target.inRegion(det) ? 1 : 0.3;
+        drawBox(ctx, det, classColor(det.classId));
+    });
+    ctx.globalAlpha = 1;
+
+    // Draw doubts (yellow)
+    drawAll(target.doubts, CONFIG.COLORS.doubt);
+
+    // Draw rejected (red, with X)
+    drawAll(target.rejectedDetections, CONFIG.COLORS.rejected, true);
+}
+
+function classColor(classId = 0) {
+    return CONFIG.CLASS_COLORS[classId % CONFIG.CLASS_COLORS.length];
+}
+
+function className(target, classId = 0) {
+    return target.labels[classId] ?? `clase ${classId}`;
+}
+
+// Shade everything outside the regions and outline them; while editing, also
+// show vertex handles and the polygon being drawn
+function drawRegions(ctx, target, editing = false) {
+    const { width, height } = target.image;
+    const lineWidth = Math.max(2, width / 400);
+
+    const tracePolygon = (polygon) => {
+        polygon.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        ctx.closePath();
+    };
+
+    ctx.save();
+
+    if (target.regions.length > 0) {
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        target.regions.forEach(tracePolygon);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.fill('evenodd');
+
+        ctx.beginPath();
+        target.regions.forEach(tracePolygon);
+        ctx.strokeStyle = CONFIG.COLORS.region;
+        ctx.lineWidth = lineWidth;
+        ctx.stroke();
+    }
+
+    if (editing) {
+        const radius = lineWidth * 2.5;
+        const drawHandle = (point) => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        };
+
+        ctx.fillStyle = CONFIG.COLORS.region;
+        target.regions.forEach(polygon => polygon.forEach(drawHandle));
+
+        if (target.regionDraft.length > 0) {
+            ctx.beginPath();
+            target.regionDraft.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+            ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+            ctx.strokeStyle = CONFIG.COLORS.region;
+            ctx.lineWidth = lineWidth;
+            ctx.stroke();
+            target.regionDraft.forEach(drawHandle);
+        }
+    }
+
+    ctx.restore();
+}
+
+// Reference segment with its end ticks and length; handles while editing
+function drawCalibration(ctx, target, editing = false) {
+    const segment = target.calibrationDraft || target.calibration;
+    if (!segment) return;
+
+    const lineWidth = Math.max(2, target.image.width / 400);
+    const angle = Math.atan2(segment.y2 - segment.y1, segment.x2 - segment.x1) + Math.PI / 2;
+    const tickX = Math.cos(angle) * lineWidth * 4;
+    const tickY = Math.sin(angle) * lineWidth * 4;
+
+    ctx.save();
+    ctx.strokeStyle = CONFIG.COLORS.calibration;
+    ctx.fillStyle = CONFIG.COLORS.calibration;
+    ctx.lineWidth = lineWidth;
+    if (target.calibrationDraft) ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+
+    ctx.beginPath();
+    ctx.moveTo(segment.x1, segment.y1);
+    ctx.lineTo(segment.x2, segment.y2);
+    [[segment.x1, segment.y1], [segment.x2, segment.y2]].forEach(([x, y]) => {
+        ctx.moveTo(x - tickX, y - tickY);
+        ctx.lineTo(x + tickX, y + tickY);
+    });
+    ctx.stroke();
+
+    if (editing) {
+        [[segment.x1, segment.y1], [segment.x2, segment.y2]].forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, lineWidth * 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    if (segment.lengthMm) {
+        ctx.font = `700 ${lineWidth * 7}px Inter, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${segment.lengthMm} mm`, (segment.x1 + segment.x2) / 2, (segment.y1 + segment.y2) / 2 - lineWidth * 3);
+    }
+    ctx.restore();
+}
+
+function drawBox(ctx, det, color, isRejected = false) {
+    const { x1, y1, x2, y2 } = det;
+    const width = x2 - x1;
+    const height = y2 - y1;
+
+    // Draw box
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(x1, y1, width, height);
+
+    // Draw corner markers
+    const cornerSize = Math.min(15, width * 0.2, height * 0.2);
+    ctx.fillStyle = color;
+
+    // Top-left
     ctx.fillRect(x1, y1, cornerSize, 3);
     ctx.fillRect(x1, y1, 3, cornerSize);
 
@@ -694,6 +1407,12 @@ function updateStats() {
     elements.totalCount.textContent = state.totalConfirmed;
     elements.acceptedCount.textContent = `ACEPTADAS: ${state.manuallyAccepted}`;
     elements.iaBaseCount.textContent = `IA BASE: ${state.iaBase}`;
+    updateClassControls();
+    updateDiameterStats();
+    updateAuditStats();
+    updateBatchStats();
+    updateUndoButtons();
+    scheduleScanSave();
 
     if (state.doubts.length > 0) {
         elements.doubtCount.textContent = state.doubts.length;
@@ -706,345 +1425,2520 @@ function updateStats() {
 // ===============================================
 // Review Mode
 // ===============================================
+// The review session: what goes through the screen (doubts, or a sample of auto-confirmed
+// stakes when auditing) in the order it is shown, what was decided on each
+// (decision: null | 'accepted' | 'rejected' | 'bulk' | 'skipped') and the steps taken,
+// so "Anterior" can walk them back one by one
+const review = {
+    mode: 'doubts', // 'doubts' | 'audit'
+    sample: [],     // Audit: the stakes drawn
+    items: [],      // { det, decision }
+    index: 0,
+    history: [],    // { type, index, changes: [{ item, previous }], command }
+    total: 0,       // Open items when the session started
+    sort: loadReviewSort()
+};
+
+// Detections in review order: lowest confidence first, row by row over the photo
+// (top to bottom, then left to right) or as the model listed them
+function sortDoubts(doubts, sort) {
+    if (sort === 'confidence') {
+        return [...doubts].sort((a, b) => a.confidence - b.confidence);
+    }
+    if (sort === 'position') {
+        // Centers less than a typical stake height apart vertically share a row
+        const heights = doubts.map(d => d.y2 - d.y1).sort((a, b) => a - b);
+        const rowHeight = heights[Math.floor(heights.length / 2)] || 1;
+        const row = d => Math.floor((d.y1 + d.y2) / 2 / rowHeight);
+        return [...doubts].sort((a, b) => row(a) - row(b) || (a.x1 + a.x2) - (b.x1 + b.x2));
+    }
+    return [...doubts];
+}
+
+function reviewItems(detections) {
+    return sortDoubts(detections, review.sort).map(det => ({ det, decision: null }));
+}
+
 function startReview() {
     if (state.doubts.length === 0) {
         showToast('No hay dudas por revisar');
         return;
     }
 
-    state.currentDoubtIndex = 0;
+    openReview('doubts', state.doubts);
+}
+
+function openReview(mode, detections) {
+    review.mode = mode;
+    review.sample = mode === 'audit' ? detections : [];
+    review.items = reviewItems(detections);
+    review.index = 0;
+    review.history = [];
+    review.total = detections.length;
+
+    elements.reviewTitle.textContent = mode === 'audit' ? 'AUDITORÍA POR MUESTREO' : 'VERIFICACIÓN EN CURSO';
+    elements.reviewBulk.classList.toggle('hidden', mode === 'audit');
+    elements.reviewSort.value = review.sort;
+    resetBulkSlider();
     showScreen('review');
     showCurrentDoubt();
 }
 
+// What is still open in the session: the doubts, or the sampled stakes not audited yet
+function pendingReview() {
+    if (review.mode === 'audit') {
+        return review.sample.filter(det => !det.audited && state.confirmedDetections.includes(det));
+    }
+    return state.doubts;
+}
+
 function showCurrentDoubt() {
-    const doubt = state.doubts[state.currentDoubtIndex];
-    if (!doubt) {
-        endReview();
+    const item = review.items[review.index];
+    const resolved = review.total - pendingReview().length;
+    elements.reviewProgressFill.style.width = `${(resolved / review.total) * 100}%`;
+    updateBulkControls();
+
+    if (!item) {
+        showReviewSummary();
+        return;
+    }
+
+    elements.reviewCount.textContent = `${review.index + 1} / ${review.items.length}`;
+    elements.reviewClass.value = item.det.classId || 0;
+
+    // Draw zoomed crop of the detection
+    showReviewCrop(item.det);
+}
+
+// Bulk decisions may have settled doubts further down the queue: pass over them
+function skipDecided() {
+    while (review.items[review.index]?.decision) review.index++;
+}
+
+function nextDoubt() {
+    review.index++;
+    skipDecided();
+    showCurrentDoubt();
+}
+
+// Take a decision on the doubt on screen and move on
+function decideDoubt(type, command = null) {
+    const item = review.items[review.index];
+    if (command) {
+        executeCommand(command);
+        updateStats();
+    }
+    review.history.push({ type, index: review.index, changes: [{ item, previous: item.decision }], command });
+    item.decision = type;
+    nextDoubt();
+}
+
+function acceptDoubt() {
+    const det = review.items[review.index]?.det;
+    if (!det) return;
+
+    // The reviewer may correct the class the model guessed
+    const classId = state.isMultiClass ? parseInt(elements.reviewClass.value, 10) : (det.classId || 0);
+    if (review.mode === 'audit') {
+        decideDoubt('accepted', new EditDetectionCommand(state, 'estaca verificada', det,
+            { audited: det.audited, classId: det.classId }, { audited: true, classId }));
+    } else {
+        decideDoubt('accepted', new MoveDetectionCommand(state, 'duda aceptada', 'doubts', 'confirmedDetections',
+            det, d => ({ ...d, classId, wasDoubt: true })));
+    }
+}
+
+function rejectDoubt() {
+    const det = review.items[review.index]?.det;
+    if (!det) return;
+
+    if (review.mode === 'audit') {
+        decideDoubt('rejected', new MoveDetectionCommand(state, 'falso positivo', 'confirmedDetections',
+            'rejectedDetections', det, d => ({ ...d, audited: true })));
+    } else {
+        decideDoubt('rejected', new MoveDetectionCommand(state, 'duda descartada', 'doubts', 'rejectedDetections', det));
+    }
+}
+
+// Leave the doubt for later: it comes back in the next pass over the pending ones
+function skipDoubt() {
+    if (review.items[review.index]) {
+        decideDoubt('skipped');
+    }
+}
+
+// Walk back the last step (decision, skip or bulk accept) and show that doubt again
+function reviewBack() {
+    const step = review.history.pop();
+    if (!step) {
+        showToast('No hay decisiones anteriores');
+        return;
+    }
+
+    if (step.command && !undoReviewCommand(step.command)) {
+        review.history.push(step);
+        showToast('No se puede deshacer esta decisión');
+        return;
+    }
+    step.changes.forEach(({ item, previous }) => {
+        item.decision = previous;
+    });
+    review.index = step.index;
+    elements.reviewSummaryModal.classList.add('hidden');
+    showCurrentDoubt();
+}
+
+// Commands are only undone in stack order: false when the step's command is no
+// longer the last one
+function undoReviewCommand(command) {
+    const { undoStack } = command.target;
+    if (undoStack[undoStack.length - 1] !== command) return false;
+
+    undoStack.pop();
+    command.undo();
+    refreshAfterHistoryChange();
+    return true;
+}
+
+// Re-sort what is left of the queue; doubts already passed keep their place
+function setReviewSort(sort) {
+    review.sort = sort;
+    elements.reviewSort.value = sort;
+    saveReviewSort(sort);
+
+    const ahead = review.items.slice(review.index);
+    const itemOf = new Map(ahead.map(item => [item.det, item]));
+    const sorted = sortDoubts(ahead.map(item => item.det), sort).map(det => itemOf.get(det));
+    review.items = [...review.items.slice(0, review.index), ...sorted];
+    skipDecided();
+    showCurrentDoubt();
+}
+
+function cycleReviewSort() {
+    const next = REVIEW_SORTS[(REVIEW_SORTS.indexOf(review.sort) + 1) % REVIEW_SORTS.length];
+    setReviewSort(next);
+    showToast(`Orden: ${elements.reviewSort.selectedOptions[0].textContent}`);
+}
+
+// ===============================================
+// Review: Bulk Accept
+// ===============================================
+// The cut moves between the two thresholds that made these detections doubts
+function resetBulkSlider() {
+    const { confidence, doubt } = state.thresholds || thresholds;
+    const slider = elements.reviewBulkSlider;
+    slider.min = confidence;
+    slider.max = doubt;
+    slider.value = Math.min(doubt, Math.max(confidence, CONFIG.REVIEW_BULK_CONFIDENCE));
+}
+
+function bulkCandidates() {
+    const cut = parseFloat(elements.reviewBulkSlider.value);
+    return state.doubts.filter(d => d.confidence >= cut);
+}
+
+function updateBulkControls() {
+    const count = bulkCandidates().length;
+    elements.reviewBulkValue.textContent = `${Math.round(parseFloat(elements.reviewBulkSlider.value) * 100)}%`;
+    elements.reviewBulkLabel.textContent = `Aceptar ${count}`;
+    elements.btnReviewBulk.disabled = count === 0;
+}
+
+// Mark every pending doubt at or above the cut as a stake, as one undoable step
+function acceptRemaining() {
+    if (review.mode !== 'doubts') return;
+
+    const doubts = bulkCandidates();
+    if (doubts.length === 0) {
+        showToast('No quedan dudas con esa confianza');
+        return;
+    }
+
+    const command = new CompositeCommand(state, `${doubts.length} dudas aceptadas`, doubts.map(doubt =>
+        new MoveDetectionCommand(state, 'duda aceptada', 'doubts', 'confirmedDetections',
+            doubt, det => ({ ...det, wasDoubt: true }))));
+    executeCommand(command);
+    updateStats();
+
+    const accepted = new Set(doubts);
+    const changes = review.items
+        .filter(item => accepted.has(item.det))
+        .map(item => ({ item, previous: item.decision }));
+    changes.forEach(({ item }) => {
+        item.decision = 'bulk';
+    });
+    review.history.push({ type: 'bulk', index: review.index, changes, command });
+
+    showToast(`✓ ${doubts.length} dudas marcadas como estaca`);
+    skipDecided();
+    showCurrentDoubt();
+}
+
+// ===============================================
+// Review: Summary
+// ===============================================
+function reviewDecisionCount(type) {
+    return review.history
+        .filter(step => step.type === type)
+        .reduce((sum, step) => sum + (type === 'bulk' ? step.command.commands.length : 1), 0);
+}
+
+function showReviewSummary() {
+    const pending = pendingReview().length;
+    const rows = review.mode === 'audit' ? auditSummaryRows(pending) : [
+        ['Aceptadas', reviewDecisionCount('accepted')],
+        ['Descartadas', reviewDecisionCount('rejected')],
+        ['Aceptadas en bloque', reviewDecisionCount('bulk')],
+        ['Sin decidir', pending]
+    ];
+
+    elements.reviewSummary.replaceChildren(...rows.flatMap(([label, value]) => {
+        const name = document.createElement('span');
+        name.textContent = label;
+        const count = document.createElement('strong');
+        count.textContent = value;
+        return [name, count];
+    }));
+
+    elements.btnReviewContinue.textContent = `Revisar pendientes (${pending})`;
+    elements.btnReviewContinue.classList.toggle('hidden', pending === 0);
+    elements.reviewSummaryModal.classList.remove('hidden');
+}
+
+function isReviewSummaryOpen() {
+    return !elements.reviewSummaryModal.classList.contains('hidden');
+}
+
+// Back to the open doubts: the rest of the queue, or another pass over the skipped ones
+function continueReview() {
+    elements.reviewSummaryModal.classList.add('hidden');
+    if (review.index >= review.items.length) {
+        review.items.push(...reviewItems(pendingReview()));
+    }
+    showCurrentDoubt();
+}
+
+function endReview() {
+    elements.reviewSummaryModal.classList.add('hidden');
+    showScreen('result');
+    drawCanvas();
+    updateStats();
+
+    if (pendingReview().length === 0) {
+        showToast(review.mode === 'audit' ? '✓ Auditoría completada' : '✓ Revisión completada');
+    }
+}
+
+// ===============================================
+// Audit Sampling
+// ===============================================
+// A random sample of the auto-confirmed stakes goes through the review screen:
+// "Es estaca" marks it audited, "Descartar" rejects it as a false positive
+function startAudit() {
+    const sample = randomSample(state.unauditedDetections, CONFIG.AUDIT_SAMPLE_SIZE);
+    if (sample.length === 0) {
+        showToast('No quedan estacas automáticas sin auditar');
         return;
     }
 
-    // Update progress
-    const progress = ((state.currentDoubtIndex + 1) / state.doubts.length) * 100;
-    elements.reviewProgressFill.style.width = `${progress}%`;
-    elements.reviewCount.textContent = `${state.currentDoubtIndex + 1} / ${state.doubts.length}`;
+    openReview('audit', sample);
+}
+
+function formatRate(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+function auditSummaryRows(pending) {
+    const rows = [
+        ['Estacas correctas', reviewDecisionCount('accepted')],
+        ['Falsos positivos', reviewDecisionCount('rejected')],
+        ['Sin decidir', pending]
+    ];
+
+    // Over everything audited on this photo, not just this pass
+    const estimate = state.auditEstimate;
+    if (estimate) {
+        rows.push(
+            ['Error estimado', `${formatRate(estimate.errorRate)} (${formatRate(estimate.errorLow)}–${formatRate(estimate.errorHigh)})`],
+            ['Total estimado (IC 95%)', `${estimate.totalLow}–${estimate.totalHigh}`]
+        );
+    }
+    return rows;
+}
+
+function updateAuditStats() {
+    const estimate = state.auditEstimate;
+    elements.statAudit.classList.toggle('hidden', !estimate);
+    if (estimate) {
+        elements.statAudit.textContent =
+            `IC 95%: ${estimate.totalLow}–${estimate.totalHigh} · ERROR ${formatRate(estimate.errorRate)} · ${estimate.sampled} AUDITADAS`;
+    }
+    elements.btnStartAudit.classList.toggle('hidden', state.unauditedDetections.length === 0);
+}
+
+// ===============================================
+// Review Crop (zoom / pan around the detection under review)
+// ===============================================
+// Part of the photo on the review canvas, in image pixels; `base` is the framing
+// around the detection, restored with a double click
+const reviewView = { det: null, x: 0, y: 0, width: 0, height: 0, base: null };
+const reviewPointers = new Map(); // pointerId -> last { x, y } (mouse, pen or fingers)
+let reviewMinimap = null; // { image, canvas }: downscaled copy of the photo for the inset
+
+// Context grows with the box, so a big stake on a 4000 px photo still shows its neighbours
+function cropAround(det) {
+    const img = state.image;
+    const width = det.x2 - det.x1;
+    const height = det.y2 - det.y1;
+    const padding = Math.max(CONFIG.REVIEW_CROP_MIN_PADDING, Math.max(width, height) * CONFIG.REVIEW_CROP_PADDING);
+
+    // Shift rather than shrink at the image edges, so the box keeps its context
+    const cropWidth = Math.min(img.width, width + padding * 2);
+    const cropHeight = Math.min(img.height, height + padding * 2);
+    const x = Math.min(Math.max(0, (det.x1 + det.x2 - cropWidth) / 2), img.width - cropWidth);
+    const y = Math.min(Math.max(0, (det.y1 + det.y2 - cropHeight) / 2), img.height - cropHeight);
+    return { x, y, width: cropWidth, height: cropHeight };
+}
+
+function showReviewCrop(det) {
+    const base = cropAround(det);
+    const maxSize = CONFIG.REVIEW_CROP_SIZE;
+    const scale = Math.min(maxSize / base.width, maxSize / base.height);
+    elements.reviewCanvas.width = Math.round(base.width * scale);
+    elements.reviewCanvas.height = Math.round(base.height * scale);
+
+    Object.assign(reviewView, base, { det, base });
+    drawReviewCrop();
+}
+
+function drawReviewCrop() {
+    const canvas = elements.reviewCanvas;
+    const ctx = canvas.getContext('2d');
+    const img = state.image;
+    const view = reviewView;
+    const scale = canvas.width / view.width;
+
+    ctx.fillStyle = '#0a1929';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Only the part inside the image: source rects past the edges fail on some browsers
+    const sx = Math.max(0, view.x);
+    const sy = Math.max(0, view.y);
+    const ex = Math.min(img.width, view.x + view.width);
+    const ey = Math.min(img.height, view.y + view.height);
+    if (ex > sx && ey > sy) {
+        ctx.drawImage(img, sx, sy, ex - sx, ey - sy,
+            (sx - view.x) * scale, (sy - view.y) * scale, (ex - sx) * scale, (ey - sy) * scale);
+    }
+
+    // Boxes in canvas pixels, so drawBox keeps its line width at any zoom
+    const project = det => ({
+        x1: (det.x1 - view.x) * scale,
+        y1: (det.y1 - view.y) * scale,
+        x2: (det.x2 - view.x) * scale,
+        y2: (det.y2 - view.y) * scale
+    });
+    const isNeighbour = det => det !== view.det &&
+        det.x2 > view.x && det.x1 < view.x + view.width && det.y2 > view.y && det.y1 < view.y + view.height;
+
+    // Neighbours in their own colors: a duplicate of a decided stake is easy to spot
+    state.confirmedDetections.filter(isNeighbour).forEach(det => drawBox(ctx, project(det), classColor(det.classId)));
+    state.doubts.filter(isNeighbour).forEach(det => drawBox(ctx, project(det), CONFIG.COLORS.doubt));
+    state.rejectedDetections.filter(isNeighbour).forEach(det => drawBox(ctx, project(det), CONFIG.COLORS.rejected, true));
+
+    // The detection under review on top, with a halo to tell it from the rest
+    const box = project(view.det);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 7;
+    ctx.strokeRect(box.x1, box.y1, box.x2 - box.x1, box.y2 - box.y1);
+    drawBox(ctx, box, review.mode === 'audit' ? classColor(view.det.classId) : CONFIG.COLORS.doubt);
+
+    drawReviewMinimap(ctx);
+}
+
+// Inset in the corner with the whole photo and the crop outlined
+function drawReviewMinimap(ctx) {
+    const img = state.image;
+    if (reviewMinimap?.image !== img) {
+        const scale = CONFIG.REVIEW_MINIMAP_SIZE / Math.max(img.width, img.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        reviewMinimap = { image: img, canvas };
+    }
+
+    const { canvas: thumb } = reviewMinimap;
+    const margin = 8;
+    const left = ctx.canvas.width - thumb.width - margin;
+    const top = ctx.canvas.height - thumb.height - margin;
+    const scale = thumb.width / img.width;
+
+    ctx.save();
+    ctx.globalAlpha = 0.85;
+    ctx.drawImage(thumb, left, top);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left - 0.5, top - 0.5, thumb.width + 1, thumb.height + 1);
+
+    // Crop outline, clipped to the inset when zoomed out past the photo
+    ctx.beginPath();
+    ctx.rect(left, top, thumb.width, thumb.height);
+    ctx.clip();
+    ctx.strokeStyle = CONFIG.COLORS.doubt;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left + reviewView.x * scale, top + reviewView.y * scale,
+        Math.max(2, reviewView.width * scale), Math.max(2, reviewView.height * scale));
+    ctx.restore();
+}
+
+// Zoom by `factor` keeping the image point under (canvasX, canvasY) in place
+function zoomReviewCrop(factor, canvasX, canvasY) {
+    const view = reviewView;
+    const img = state.image;
+    const canvas = elements.reviewCanvas;
+    const aspect = canvas.height / canvas.width;
+
+    // From a few times closer than the framing out to the whole photo
+    const minWidth = view.base.width / CONFIG.REVIEW_CROP_MAX_ZOOM;
+    const maxWidth = Math.max(view.base.width, img.width, img.height / aspect);
+    const width = Math.min(maxWidth, Math.max(minWidth, view.width / factor));
+
+    const pointX = view.x + canvasX * view.width / canvas.width;
+    const pointY = view.y + canvasY * view.height / canvas.height;
+    view.width = width;
+    view.height = width * aspect;
+    view.x = pointX - canvasX * view.width / canvas.width;
+    view.y = pointY - canvasY * view.height / canvas.height;
+    clampReviewView();
+    drawReviewCrop();
+}
+
+function panReviewCrop(canvasDx, canvasDy) {
+    const scale = elements.reviewCanvas.width / reviewView.width;
+    reviewView.x -= canvasDx / scale;
+    reviewView.y -= canvasDy / scale;
+    clampReviewView();
+    drawReviewCrop();
+}
+
+// The center of the crop stays on the photo
+function clampReviewView() {
+    const view = reviewView;
+    const img = state.image;
+    view.x = Math.min(Math.max(view.x, -view.width / 2), img.width - view.width / 2);
+    view.y = Math.min(Math.max(view.y, -view.height / 2), img.height - view.height / 2);
+}
+
+function resetReviewCrop() {
+    if (!reviewView.base) return;
+    Object.assign(reviewView, reviewView.base);
+    drawReviewCrop();
+}
+
+// Client position to review canvas pixels (the canvas is scaled down by CSS)
+function reviewCanvasPoint(clientX, clientY) {
+    const rect = elements.reviewCanvas.getBoundingClientRect();
+    const ratio = elements.reviewCanvas.width / rect.width;
+    return { x: (clientX - rect.left) * ratio, y: (clientY - rect.top) * ratio, ratio };
+}
+
+function handleReviewWheel(e) {
+    e.preventDefault();
+    const { x, y } = reviewCanvasPoint(e.clientX, e.clientY);
+    zoomReviewCrop(Math.exp(-e.deltaY * 0.002), x, y);
+}
+
+function handleReviewPointerDown(e) {
+    elements.reviewCanvas.setPointerCapture(e.pointerId);
+    reviewPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+}
 
-    // Draw zoomed crop of the doubt
-    drawDoubtCrop(doubt);
+// One pointer pans; two (pinch) zoom around their midpoint
+function handleReviewPointerMove(e) {
+    const last = reviewPointers.get(e.pointerId);
+    if (!last) return;
+
+    const current = { x: e.clientX, y: e.clientY };
+    if (reviewPointers.size === 1) {
+        const { ratio } = reviewCanvasPoint(e.clientX, e.clientY);
+        panReviewCrop((current.x - last.x) * ratio, (current.y - last.y) * ratio);
+    } else if (reviewPointers.size === 2) {
+        const other = [...reviewPointers].find(([id]) => id !== e.pointerId)[1];
+        const before = Math.hypot(last.x - other.x, last.y - other.y);
+        const after = Math.hypot(current.x - other.x, current.y - other.y);
+        if (before > 0) {
+            const mid = reviewCanvasPoint((current.x + other.x) / 2, (current.y + other.y) / 2);
+            zoomReviewCrop(after / before, mid.x, mid.y);
+        }
+    }
+    reviewPointers.set(e.pointerId, current);
+}
+
+function handleReviewPointerUp(e) {
+    reviewPointers.delete(e.pointerId);
 }
 
-function drawDoubtCrop(doubt) {
-    const ctx = elements.reviewCanvas.getContext('2d');
-    const img = state.image;
+// ===============================================
+// Threshold Settings Panel
+// ===============================================
+const THRESHOLD_SLIDERS = ['confidence', 'doubt', 'iou', 'softIou', 'sigma', 'wbfIou', 'diouIou'];
+const SUPPRESSION_LABELS = {
+    greedy: 'NMS clásico',
+    'soft-linear': 'Soft-NMS lineal',
+    'soft-gaussian': 'Soft-NMS gaussiano',
+    wbf: 'WBF',
+    diou: 'DIoU-NMS'
+};
+
+function formatSliderValue(key, value) {
+    return key === 'sigma' ? value.toFixed(2) : `${Math.round(value * 100)}%`;
+}
+
+function toggleSettingsPanel() {
+    const open = elements.settingsPanel.classList.toggle('hidden') === false;
+    elements.btnSettings.classList.toggle('active', open);
+    if (open) {
+        syncSettingsPanel();
+        syncBackendSettings();
+    }
+}
+
+// `compare` off while a slider is being dragged: the comparison table reruns every
+// strategy, too slow for each `input` event, so it waits for the release
+function syncSettingsPanel(compare = true) {
+    // Older scans only saved the first three thresholds
+    const values = { ...ImageProcessor.defaultThresholds(), ...(state.thresholds || thresholds) };
+    THRESHOLD_SLIDERS.forEach(key => {
+        elements[`${key}Slider`].value = values[key];
+        elements[`${key}Value`].textContent = formatSliderValue(key, values[key]);
+    });
+
+    // Only the parameter of the selected strategy is shown
+    elements.suppressionSelect.value = values.suppression;
+    elements.settingsPanel.querySelectorAll('[data-suppression]').forEach(field => {
+        field.classList.toggle('hidden', field.dataset.suppression !== values.suppression);
+    });
+
+    // Scans reopened from the history don't keep the raw model output
+    const tunable = Boolean(state.rawOutputs);
+    THRESHOLD_SLIDERS.forEach(key => {
+        elements[`${key}Slider`].disabled = !tunable;
+    });
+    elements.suppressionSelect.disabled = !tunable;
+    elements.settingsNote.classList.toggle('hidden', tunable);
+    if (compare) updateSuppressionComparison(values);
+}
+
+// Model count of this photo under every strategy, with the current thresholds
+function updateSuppressionComparison(values) {
+    elements.suppressionCompare.classList.toggle('hidden', !state.rawOutputs);
+    if (!state.rawOutputs || elements.settingsPanel.classList.contains('hidden')) return;
+
+    const header = ['Método', 'IA', 'Dudas'].map(text => {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        return cell;
+    });
+    const rows = Object.entries(SUPPRESSION_LABELS).flatMap(([method, label]) => {
+        const detections = ImageProcessor.detectionsFromOutputs(state.rawOutputs, { ...values, suppression: method })
+            .filter(det => state.inRegion(det));
+        const confirmed = detections.filter(det => det.confidence >= values.doubt).length;
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        name.classList.toggle('current', method === values.suppression);
+        const counts = [confirmed, detections.length - confirmed].map(count => {
+            const cell = document.createElement('strong');
+            cell.textContent = count;
+            return cell;
+        });
+        return [name, ...counts];
+    });
+
+    elements.suppressionCompare.replaceChildren(...header, ...rows);
+}
+
+// Backend select: options the device can't run are disabled once the model is loaded
+function syncBackendSettings() {
+    const model = inference.model;
+    elements.backendSelect.value = backendPreference;
+    Array.from(elements.backendSelect.options).forEach(option => {
+        option.disabled = Boolean(model) && option.value !== 'auto' && !model.available.includes(option.value);
+    });
+
+    if (!model) {
+        elements.backendInfo.textContent = 'Se elige al cargar el modelo';
+        return;
+    }
+
+    const threads = model.backend === 'wasm' ? ` (${model.threads} ${model.threads === 1 ? 'hilo' : 'hilos'})` : '';
+    const lines = [`En uso: ${BACKEND_LABELS[model.backend]}${threads}`];
+    if (model.benchmark) {
+        lines.push(model.benchmark
+            .map(result => `${BACKEND_LABELS[result.backend]} ${result.ms === null ? 'falló' : `${result.ms} ms`}`)
+            .join(' · '));
+    }
+    elements.backendInfo.textContent = lines.join('\n');
+}
+
+async function handleBackendChange() {
+    backendPreference = elements.backendSelect.value;
+    saveBackendPreference(backendPreference);
+
+    // Not loaded yet: the choice applies on the next analysis
+    if (!inference.model) return;
+
+    elements.backendSelect.disabled = true;
+    elements.backendInfo.textContent = 'Cambiando de motor...';
+    try {
+        const model = await loadModel();
+        showToast(`Motor de inferencia: ${BACKEND_LABELS[model.backend]}`);
+    } catch (error) {
+        console.error('Backend change error:', error);
+        showToast('No se pudo cambiar el motor: ' + error.message);
+    } finally {
+        elements.backendSelect.disabled = false;
+        syncBackendSettings();
+    }
+}
+
+function readSettingsPanel() {
+    const values = {};
+    THRESHOLD_SLIDERS.forEach(key => {
+        values[key] = parseFloat(elements[`${key}Slider`].value);
+    });
+    values.suppression = elements.suppressionSelect.value;
+
+    // A doubt can't be below the minimum confidence
+    if (values.doubt < values.confidence) {
+        values.doubt = values.confidence;
+    }
+    return values;
+}
+
+function handleThresholdInput() {
+    const values = readSettingsPanel();
+    if (!retuneDetections(values)) return;
+
+    syncSettingsPanel(false);
+    drawCanvas();
+    updateStats();
+}
+
+// Persist as the user's defaults once the slider is released
+function handleThresholdChange() {
+    thresholds = readSettingsPanel();
+    saveThresholds(thresholds);
+    updateSuppressionComparison(thresholds);
+}
+
+function resetThresholds() {
+    thresholds = ImageProcessor.defaultThresholds();
+    saveThresholds(thresholds);
+
+    if (retuneDetections(thresholds)) {
+        drawCanvas();
+        updateStats();
+    }
+    syncSettingsPanel();
+    showToast('Umbrales restablecidos');
+}
+
+// ===============================================
+// Undo / Redo
+// ===============================================
+function executeCommand(command) {
+    command.execute();
+    command.target.undoStack.push(command);
+    command.target.redoStack = [];
+}
+
+function refreshAfterHistoryChange() {
+    if (!elements.screenResult.classList.contains('hidden')) {
+        drawCanvas();
+    }
+    updateStats();
+    updateRegionPanel();
+    updateCalibrationPanel();
+}
+
+function undo() {
+    const command = state.undoStack.pop();
+    if (!command) {
+        showToast('Nada para deshacer');
+        return;
+    }
+
+    command.undo();
+    state.redoStack.push(command);
+    refreshAfterHistoryChange();
+    showToast(`Deshecho: ${command.label}`);
+}
+
+function redo() {
+    const command = state.redoStack.pop();
+    if (!command) {
+        showToast('Nada para rehacer');
+        return;
+    }
+
+    command.execute();
+    state.undoStack.push(command);
+    refreshAfterHistoryChange();
+    showToast(`Rehecho: ${command.label}`);
+}
+
+function updateUndoButtons() {
+    elements.btnUndo.disabled = state.undoStack.length === 0;
+    elements.btnRedo.disabled = state.redoStack.length === 0;
+}
+
+// ===============================================
+// Zoom Controls (smoother zoom for trackpad)
+// ===============================================
+let zoomAccumulator = 0;
+const ZOOM_SENSITIVITY = 0.08; // Lower = slower zoom
+
+function zoomIn() {
+    state.zoom = Math.min(state.zoom * 1.15, 5);
+    requestRender();
+}
+
+function zoomOut() {
+    state.zoom = Math.max(state.zoom / 1.15, 0.3);
+    requestRender();
+}
+
+function zoomReset() {
+    state.zoom = 1;
+    state.panX = 0;
+    state.panY = 0;
+    requestRender();
+}
+
+// Pan by a distance dragged on screen (CSS pixels); the photo follows the pointer
+function panBy(dx, dy) {
+    const { cssScale } = canvasView();
+    state.panX += dx / cssScale;
+    state.panY += dy / cssScale;
+    requestRender();
+}
+
+// Smooth wheel zoom handler
+function handleWheelZoom(e) {
+    e.preventDefault();
+
+    // Accumulate small deltas for smoother trackpad zoom
+    zoomAccumulator += e.deltaY * ZOOM_SENSITIVITY;
+
+    if (Math.abs(zoomAccumulator) >= 1) {
+        const zoomFactor = 1 + Math.abs(zoomAccumulator) * 0.02;
+        if (zoomAccumulator > 0) {
+            state.zoom = Math.max(state.zoom / zoomFactor, 0.3);
+        } else {
+            state.zoom = Math.min(state.zoom * zoomFactor, 5);
+        }
+        zoomAccumulator = 0;
+        requestRender();
+    }
+}
+
+// ===============================================
+// Click on Canvas to Toggle/Add Detection
+// ===============================================
+function handleCanvasClick(e) {
+    // Ignore if we were dragging
+    if (wasDragging) {
+        wasDragging = false;
+        return;
+    }
+
+    const { x, y } = clientToImage(e.clientX, e.clientY);
+
+    // Region mode: clicks place polygon vertices
+    if (state.regionMode) {
+        addRegionPoint(x, y);
+        return;
+    }
+
+    // Calibration mode: the reference is dragged, taps do nothing
+    if (state.calibrationMode) return;
+
+    // Boxes under the point from the spatial index; the first one of each list wins
+    const hits = detectionGridOf(state).at(x, y);
+    const hitIn = list => hits.find(entry => entry.list === list)?.det;
+
+    // Check if clicked on a confirmed detection
+    const clickedConfirmed = hitIn('confirmedDetections');
+
+    // Add mode with several classes: clicking a stake of another class relabels it
+    if (clickedConfirmed && state.addMode && state.isMultiClass &&
+        (clickedConfirmed.classId || 0) !== activeClassId) {
+        relabelDetection(clickedConfirmed, activeClassId);
+        return;
+    }
+
+    if (clickedConfirmed) {
+        executeCommand(new MoveDetectionCommand(state, 'estaca descartada',
+            'confirmedDetections', 'rejectedDetections', clickedConfirmed));
+        showToast('Estaca descartada');
+        drawCanvas();
+        updateStats();
+        return;
+    }
+
+    // Check if clicked on a rejected detection (to restore it)
+    const clickedRejected = hitIn('rejectedDetections');
+
+    if (clickedRejected) {
+        executeCommand(new MoveDetectionCommand(state, 'estaca restaurada',
+            'rejectedDetections', 'confirmedDetections', clickedRejected,
+            det => ({ ...det, wasDoubt: true })));
+        showToast('Estaca restaurada');
+        drawCanvas();
+        updateStats();
+        return;
+    }
+
+    // Check if clicked on a doubt
+    const clickedDoubt = hitIn('doubts');
+
+    if (clickedDoubt) {
+        executeCommand(new MoveDetectionCommand(state, 'duda confirmada',
+            'doubts', 'confirmedDetections', clickedDoubt,
+            det => ({ ...det, wasDoubt: true })));
+        showToast('Duda confirmada como estaca');
+        drawCanvas();
+        updateStats();
+        return;
+    }
+
+    // If in add mode (or Ctrl+click), add a new stake at this position
+    if (state.addMode || e.ctrlKey || e.metaKey) {
+        addManualStake(x, y);
+    }
+}
+
+// Screen position to image coordinates (undoing the fit, zoom and pan; see canvasView)
+function clientToImage(clientX, clientY) {
+    const rect = elements.canvas.getBoundingClientRect();
+    const view = canvasView();
+
+    return {
+        x: (clientX - rect.left - view.left) / view.cssScale,
+        y: (clientY - rect.top - view.top) / view.cssScale
+    };
+}
+
+// Image pixels covered by `screenPixels` on screen at the current zoom
+function screenToImageDistance(screenPixels) {
+    return screenPixels / canvasView().cssScale;
+}
+
+// Add a manual stake at the given position
+function addManualStake(x, y) {
+    // Default box size based on average detection size or fixed value
+    const avgSize = calculateAverageBoxSize();
+    const halfSize = avgSize / 2;
+
+    addManualBox({
+        x1: x - halfSize,
+        y1: y - halfSize,
+        x2: x + halfSize,
+        y2: y + halfSize
+    });
+}
+
+// Add a manual stake with the given box (clamped to the image)
+function addManualBox(box, label = 'estaca agregada') {
+    const newDet = {
+        id: Date.now(),
+        ...clampBox(box),
+        confidence: 1.0,
+        classId: activeClassId,
+        wasDoubt: false,
+        isManual: true
+    };
+
+    executeCommand(new MoveDetectionCommand(state, label, null, 'confirmedDetections', newDet));
+    showToast('✓ Estaca agregada manualmente');
+    drawCanvas();
+    updateStats();
+}
+
+function clampBox({ x1, y1, x2, y2 }) {
+    return {
+        x1: Math.max(0, x1),
+        y1: Math.max(0, y1),
+        x2: Math.min(state.image.width, x2),
+        y2: Math.min(state.image.height, y2)
+    };
+}
+
+function calculateAverageBoxSize() {
+    const allDets = [...state.confirmedDetections, ...state.doubts];
+    if (allDets.length === 0) return 40; // Default size
+
+    let totalSize = 0;
+    allDets.forEach(det => {
+        const w = det.x2 - det.x1;
+        const h = det.y2 - det.y1;
+        totalSize += (w + h) / 2;
+    });
+    return totalSize / allDets.length;
+}
+
+// ===============================================
+// Box Editing (add mode: draw, move and resize manual stakes)
+// ===============================================
+const BOX_HANDLE_SIZE = 14; // screen pixels to grab a corner
+const BOX_MIN_SIZE = 4; // image pixels
+
+const BOX_CORNERS = [
+    { name: 'top-left', x: 'x1', y: 'y1' },
+    { name: 'top-right', x: 'x2', y: 'y1' },
+    { name: 'bottom-left', x: 'x1', y: 'y2' },
+    { name: 'bottom-right', x: 'x2', y: 'y2' }
+];
+
+// Handles on manual stakes and the box being drawn
+function drawBoxEditing(ctx, target) {
+    const size = screenToImageDistance(BOX_HANDLE_SIZE / 2);
+
+    ctx.save();
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = CONFIG.COLORS.confirmed;
+    ctx.lineWidth = 2;
+    target.confirmedDetections
+        .filter(det => det.isManual)
+        .forEach(det => {
+            BOX_CORNERS.forEach(corner => {
+                ctx.fillRect(det[corner.x] - size / 2, det[corner.y] - size / 2, size, size);
+                ctx.strokeRect(det[corner.x] - size / 2, det[corner.y] - size / 2, size, size);
+            });
+        });
+
+    if (target.boxDraft) {
+        const { x1, y1, x2, y2 } = target.boxDraft;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+    }
+    ctx.restore();
+}
+
+// Box corners in any drag direction, kept inside the image
+function normalizeBox(ax, ay, bx, by) {
+    return clampBox({
+        x1: Math.min(ax, bx),
+        y1: Math.min(ay, by),
+        x2: Math.max(ax, bx),
+        y2: Math.max(ay, by)
+    });
+}
+
+// What a drag starting here does in add mode: resize a manual stake from a
+// corner, move it from inside, or draw a new box on empty space (see canvasDrag)
+function pickBoxEdit(clientX, clientY) {
+    const { x, y } = clientToImage(clientX, clientY);
+    const reach = screenToImageDistance(BOX_HANDLE_SIZE);
+    const grid = detectionGridOf(state);
+    // Last drawn first, like the boxes on screen
+    const manual = grid.query(x - reach / 2, y - reach / 2, x + reach / 2, y + reach / 2)
+        .filter(({ det, list }) => list === 'confirmedDetections' && det.isManual)
+        .map(({ det }) => det)
+        .reverse();
+    const target = state;
+
+    for (const det of manual) {
+        const corner = BOX_CORNERS.find(c =>
+            Math.abs(det[c.x] - x) <= reach / 2 && Math.abs(det[c.y] - y) <= reach / 2);
+        if (!corner) continue;
+
+        // The opposite corner stays put
+        const from = { x1: det.x1, y1: det.y1, x2: det.x2, y2: det.y2 };
+        const anchorX = corner.x === 'x1' ? det.x2 : det.x1;
+        const anchorY = corner.y === 'y1' ? det.y2 : det.y1;
+        return boxEditDrag(target, det, from, 'estaca redimensionada',
+            (px, py) => normalizeBox(anchorX, anchorY, px, py));
+    }
+
+    const inside = manual.find(det => x >= det.x1 && x <= det.x2 && y >= det.y1 && y <= det.y2);
+    if (inside) {
+        const from = { x1: inside.x1, y1: inside.y1, x2: inside.x2, y2: inside.y2 };
+        const width = from.x2 - from.x1;
+        const height = from.y2 - from.y1;
+        return boxEditDrag(target, inside, from, 'estaca movida', (px, py) => {
+            const x1 = Math.min(Math.max(from.x1 + px - x, 0), target.image.width - width);
+            const y1 = Math.min(Math.max(from.y1 + py - y, 0), target.image.height - height);
+            return { x1, y1, x2: x1 + width, y2: y1 + height };
+        });
+    }
+
+    // Tapping a model detection keeps its click behaviour
+    if (grid.at(x, y).length > 0) return null;
+
+    const minSize = Math.max(BOX_MIN_SIZE, screenToImageDistance(DRAG_THRESHOLD));
+    return {
+        move(px, py) {
+            target.boxDraft = normalizeBox(x, y, px, py);
+        },
+        end() {
+            const box = target.boxDraft;
+            target.boxDraft = null;
+            if (!box || box.x2 - box.x1 < minSize || box.y2 - box.y1 < minSize) {
+                drawCanvas();
+                return;
+            }
+            addManualBox(box, 'estaca dibujada');
+        }
+    };
+}
+
+function boxEditDrag(target, det, from, label, boxAt) {
+    let to = null;
+    return {
+        move(px, py) {
+            to = boxAt(px, py);
+            if (to.x2 - to.x1 < BOX_MIN_SIZE || to.y2 - to.y1 < BOX_MIN_SIZE) return;
+            Object.assign(det, to);
+        },
+        end() {
+            const moved = to && (det.x1 !== from.x1 || det.y1 !== from.y1 ||
+                det.x2 !== from.x2 || det.y2 !== from.y2);
+            if (!moved) return;
+
+            executeCommand(new EditDetectionCommand(target, label, det, from, { x1: det.x1, y1: det.y1, x2: det.x2, y2: det.y2 }));
+            updateStats();
+        }
+    };
+}
+
+// ===============================================
+// Pan (Drag) Controls
+// ===============================================
+let isDragging = false;
+let wasDragging = false;
+let dragStartX = 0;
+let dragStartY = 0;
+let lastX = 0;
+let lastY = 0;
+const DRAG_THRESHOLD = 5; // pixels moved to consider it a drag, not a click
+
+// Something grabbed on the canvas (region vertex, manual box...) that moves instead of panning:
+// { move(x, y), end() } in image coordinates
+let canvasDrag = null;
+
+function pickCanvasDrag(clientX, clientY) {
+    if (state.regionMode) return pickRegionVertex(clientX, clientY);
+    if (state.calibrationMode) return pickCalibration(clientX, clientY);
+    if (state.addMode) return pickBoxEdit(clientX, clientY);
+    return null;
+}
+
+function moveCanvasDrag(clientX, clientY) {
+    const { x, y } = clientToImage(clientX, clientY);
+    canvasDrag.move(x, y);
+    drawCanvas();
+}
+
+function endCanvasDrag() {
+    canvasDrag?.end();
+    canvasDrag = null;
+}
+
+function handleMouseDown(e) {
+    canvasDrag = pickCanvasDrag(e.clientX, e.clientY);
+    isDragging = true;
+    wasDragging = false;
+    dragStartX = e.clientX;
+    dragStartY = e.clientY;
+    lastX = e.clientX;
+    lastY = e.clientY;
+    elements.canvas.style.cursor = 'grabbing';
+}
+
+function handleMouseMove(e) {
+    if (!isDragging) return;
+
+    // Check if we've moved enough to consider this a drag
+    const movedX = Math.abs(e.clientX - dragStartX);
+    const movedY = Math.abs(e.clientY - dragStartY);
+    if (movedX > DRAG_THRESHOLD || movedY > DRAG_THRESHOLD) {
+        wasDragging = true;
+    }
+
+    if (canvasDrag) {
+        moveCanvasDrag(e.clientX, e.clientY);
+        return;
+    }
+
+    panBy(e.clientX - lastX, e.clientY - lastY);
+
+    lastX = e.clientX;
+    lastY = e.clientY;
+}
+
+function handleMouseUp() {
+    endCanvasDrag();
+    isDragging = false;
+    elements.canvas.style.cursor = state.addMode ? 'crosshair' : 'grab';
+}
+
+// ===============================================
+// Add Mode Toggle
+// ===============================================
+function toggleAddMode() {
+    state.addMode = !state.addMode;
+    if (state.addMode && state.regionMode) toggleRegionMode();
+    if (state.addMode && state.calibrationMode) toggleCalibrationMode();
+
+    // Update button state
+    elements.btnAddMode.classList.toggle('active', state.addMode);
+
+    // Update cursor
+    elements.canvas.style.cursor = state.addMode ? 'crosshair' : 'grab';
+
+    // Update container class for cursor override
+    elements.imageContainer.classList.toggle('add-mode', state.addMode);
+    drawCanvas(); // Show / hide the handles of manual stakes
+
+    // Show toast
+    if (state.addMode) {
+        showToast('Modo agregar: click o arrastra para marcar estacas');
+        showHelpTip();
+    } else {
+        showToast('Modo agregar desactivado');
+        hideHelpTip();
+    }
+}
+
+function showHelpTip() {
+    if (elements.helpTip) {
+        elements.helpTip.classList.add('visible');
+        // Auto-hide after 5 seconds
+        setTimeout(hideHelpTip, 5000);
+    }
+}
+
+function hideHelpTip() {
+    if (elements.helpTip) {
+        elements.helpTip.classList.remove('visible');
+    }
+}
+
+// ===============================================
+// Classes
+// ===============================================
+let activeClassId = 0; // Class given to stakes added by hand
+let classOptionsKey = null;
+
+// Class pickers and per-class counts only show up with multi-class models
+function updateClassControls() {
+    const labels = state.labels;
+    const key = labels.join('\n');
+
+    if (key !== classOptionsKey) {
+        classOptionsKey = key;
+        if (activeClassId >= labels.length) activeClassId = 0;
+
+        [elements.classSelect, elements.reviewClass].forEach(select => {
+            select.replaceChildren(...labels.map((name, i) => new Option(`${i + 1}. ${name}`, i)));
+        });
+        elements.classSelect.value = activeClassId;
+        elements.classSelect.classList.toggle('hidden', !state.isMultiClass);
+        elements.reviewClassField.classList.toggle('hidden', !state.isMultiClass);
+    }
+
+    elements.statClasses.classList.toggle('hidden', !state.isMultiClass);
+    if (state.isMultiClass) {
+        elements.statClasses.replaceChildren(...state.classCounts.map((count, i) => {
+            const badge = document.createElement('span');
+            badge.className = 'stat-badge stat-badge-class';
+            badge.style.setProperty('--class-color', classColor(i));
+            badge.textContent = `${className(state, i)}: ${count}`;
+            return badge;
+        }));
+    }
+}
+
+function handleClassChange() {
+    activeClassId = parseInt(elements.classSelect.value, 10) || 0;
+}
+
+function relabelDetection(det, classId) {
+    executeCommand(new EditDetectionCommand(state, 'clase cambiada', det,
+        { classId: det.classId || 0 }, { classId }));
+    showToast(`Estaca marcada como ${className(state, classId)}`);
+    drawCanvas();
+    updateStats();
+}
+
+// ===============================================
+// Region of Interest
+// ===============================================
+const REGION_HANDLE_RADIUS = 14; // screen pixels to grab a vertex or close the polygon
+
+function toggleRegionMode() {
+    state.regionMode = !state.regionMode;
+    state.regionDraft = [];
+
+    if (state.regionMode && state.addMode) {
+        state.addMode = false;
+        elements.btnAddMode.classList.remove('active');
+        elements.imageContainer.classList.remove('add-mode');
+        hideHelpTip();
+    }
+    if (state.regionMode && state.calibrationMode) toggleCalibrationMode();
+
+    updateRegionPanel();
+    drawCanvas();
+}
+
+function updateRegionPanel() {
+    elements.btnRegionMode.classList.toggle('active', state.regionMode);
+    elements.imageContainer.classList.toggle('region-mode', state.regionMode);
+    elements.regionPanel.classList.toggle('hidden', !state.regionMode);
+
+    elements.btnRegionClose.disabled = state.regionDraft.length < 3;
+    elements.btnRegionUndoPoint.disabled = state.regionDraft.length === 0;
+    elements.btnRegionClear.disabled = state.regions.length === 0;
+    elements.btnRegionReanalyze.disabled = state.regions.length === 0;
+}
+
+function refreshRegions() {
+    drawCanvas();
+    updateStats();
+    updateRegionPanel();
+}
+
+function addRegionPoint(x, y) {
+    const point = {
+        x: Math.min(Math.max(x, 0), state.image.width),
+        y: Math.min(Math.max(y, 0), state.image.height)
+    };
+
+    // Tapping the first point again closes the polygon
+    const first = state.regionDraft[0];
+    if (state.regionDraft.length >= 3 &&
+        Math.hypot(point.x - first.x, point.y - first.y) <= screenToImageDistance(REGION_HANDLE_RADIUS)) {
+        closeRegionDraft();
+        return;
+    }
+
+    state.regionDraft.push(point);
+    drawCanvas();
+    updateRegionPanel();
+}
+
+function closeRegionDraft() {
+    if (state.regionDraft.length < 3) {
+        showToast('Marca al menos 3 puntos para cerrar la región');
+        return;
+    }
+
+    executeCommand(new SetRegionsCommand(state, 'región agregada', [...state.regions, state.regionDraft]));
+    state.regionDraft = [];
+    refreshRegions();
+}
+
+function undoRegionPoint() {
+    state.regionDraft.pop();
+    drawCanvas();
+    updateRegionPanel();
+}
+
+function cancelRegionDraft() {
+    state.regionDraft = [];
+    drawCanvas();
+    updateRegionPanel();
+}
+
+function clearRegions() {
+    if (state.regions.length === 0) return;
+
+    executeCommand(new SetRegionsCommand(state, 'regiones borradas', []));
+    state.regionDraft = [];
+    refreshRegions();
+    showToast('Se cuenta toda la imagen');
+}
+
+// Grab a vertex of a closed region to move it (see canvasDrag)
+function pickRegionVertex(clientX, clientY) {
+    const { x, y } = clientToImage(clientX, clientY);
+    const radius = screenToImageDistance(REGION_HANDLE_RADIUS);
+
+    for (let r = 0; r < state.regions.length; r++) {
+        const v = state.regions[r].findIndex(point => Math.hypot(point.x - x, point.y - y) <= radius);
+        if (v === -1) continue;
+
+        const target = state;
+        const previous = target.regions;
+        target.regions = previous.map(polygon => polygon.map(point => ({ ...point })));
+        let moved = false;
+
+        return {
+            move(px, py) {
+                moved = true;
+                target.regions[r][v] = {
+                    x: Math.min(Math.max(px, 0), target.image.width),
+                    y: Math.min(Math.max(py, 0), target.image.height)
+                };
+            },
+            end() {
+                if (!moved) {
+                    target.regions = previous;
+                    return;
+                }
+                executeCommand(new SetRegionsCommand(target, 'región editada', target.regions, previous));
+                updateStats();
+            }
+        };
+    }
+
+    return null;
+}
+
+// Bounding rectangle of all regions, in whole pixels inside the image
+function regionBounds(regions, img) {
+    const points = regions.flat();
+    const x1 = Math.max(0, Math.floor(Math.min(...points.map(p => p.x))));
+    const y1 = Math.max(0, Math.floor(Math.min(...points.map(p => p.y))));
+    const x2 = Math.min(img.width, Math.ceil(Math.max(...points.map(p => p.x))));
+    const y2 = Math.min(img.height, Math.ceil(Math.max(...points.map(p => p.y))));
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+// Run the model again only on the regions (cropped input keeps more detail
+// per stake); decisions already taken are kept like when retuning thresholds
+async function reanalyzeRegion() {
+    if (state.regions.length === 0) return;
+
+    const crop = regionBounds(state.regions, state.image);
+    if (crop.width < 1 || crop.height < 1) {
+        showToast('La región es demasiado pequeña');
+        return;
+    }
+
+    showScreen('loading');
+    setStatus('ANALIZANDO', 'loading');
+
+    try {
+        await loadModel(setLoadingProgress);
+        const bitmap = await createImageBitmap(state.image);
+        const tta = elements.ttaToggle.checked;
+        const { detections, outputs, timing } = await inference.detect(bitmap, {
+            tiled: elements.tiledToggle.checked,
+            tta,
+            thresholds,
+            crop
+        }, setLoadingProgress);
+
+        state.rawOutputs = outputs;
+        state.timing = { tta, ...timing };
+        recordModel(state);
+        applyCandidates(detections, thresholds);
+        if (tta) {
+            showTtaCost([state.timing]);
+        } else {
+            showToast('Región analizada de nuevo');
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            showToast('Análisis cancelado');
+        } else {
+            console.error('Region detection error:', error);
+            showToast('Error al analizar la región: ' + error.message);
+        }
+    }
+
+    state.regionMode = false;
+    state.regionDraft = [];
+    updateRegionPanel();
+    showResults();
+    syncSettingsPanel();
+    setStatus('ANÁLISIS ACTIVO', 'active');
+}
+
+// ===============================================
+// Diameter Calibration
+// ===============================================
+const CALIBRATION_HANDLE_RADIUS = 14; // screen pixels to grab an end of the reference
+
+function toggleCalibrationMode() {
+    state.calibrationMode = !state.calibrationMode;
+    state.calibrationDraft = null;
+
+    if (state.calibrationMode && state.addMode) {
+        state.addMode = false;
+        elements.btnAddMode.classList.remove('active');
+        elements.imageContainer.classList.remove('add-mode');
+        hideHelpTip();
+    }
+    if (state.calibrationMode && state.regionMode) toggleRegionMode();
+
+    updateCalibrationPanel();
+    drawCanvas();
+}
+
+function updateCalibrationPanel() {
+    elements.btnCalibrationMode.classList.toggle('active', state.calibrationMode);
+    elements.imageContainer.classList.toggle('calibration-mode', state.calibrationMode);
+    elements.calibrationPanel.classList.toggle('hidden', !state.calibrationMode);
+    elements.btnCalibrationClear.disabled = !state.calibration;
+    elements.calibrationNote.classList.toggle('hidden', Boolean(state.calibration));
+
+    if (document.activeElement !== elements.calibrationLength) {
+        elements.calibrationLength.value = state.calibration?.lengthMm ?? diameterSettings.referenceMm;
+    }
+    if (document.activeElement !== elements.gradeBounds) {
+        elements.gradeBounds.value = diameterSettings.gradeBounds.join(', ');
+    }
+
+    renderDiameterSummary(state.diameterSummary(diameterSettings.gradeBounds));
+}
+
+function renderDiameterSummary(summary) {
+    elements.diameterSummary.classList.toggle('hidden', !summary || summary.count === 0);
+    if (!summary || summary.count === 0) return;
+
+    elements.diameterMean.textContent =
+        `Ø medio ${Math.round(summary.meanMm)} mm (${Math.round(summary.minMm)}–${Math.round(summary.maxMm)})`;
+
+    const tallest = Math.max(...summary.histogram.map(bin => bin.count));
+    const bars = summary.histogram.map(bin => {
+        const bar = document.createElement('div');
+        bar.className = 'diameter-bar';
+        bar.style.height = `${(bin.count / tallest) * 100}%`;
+        bar.title = `${bin.from}–${bin.to} mm: ${bin.count}`;
+        return bar;
+    });
+    elements.diameterHistogram.replaceChildren(...bars);
+    elements.diameterAxisMin.textContent = summary.histogram[0].from;
+    elements.diameterAxisMax.textContent = `${summary.histogram[summary.histogram.length - 1].to} mm`;
+
+    elements.diameterGrades.replaceChildren(...summary.grades.flatMap(grade => {
+        const label = document.createElement('span');
+        label.textContent = `${grade.label} mm`;
+        const count = document.createElement('strong');
+        count.textContent = grade.count;
+        return [label, count];
+    }));
+}
+
+// Grade counts in the footer once the photo is calibrated
+function updateDiameterStats() {
+    const summary = state.diameterSummary(diameterSettings.gradeBounds);
+    elements.statGrades.classList.toggle('hidden', !summary);
+    if (!summary) return;
+
+    const badges = summary.grades.map(grade => {
+        const badge = document.createElement('span');
+        badge.className = 'stat-badge stat-badge-gray';
+        badge.textContent = `Ø ${grade.label}: ${grade.count}`;
+        return badge;
+    });
+    elements.statGrades.replaceChildren(...badges);
+
+    if (state.calibrationMode) updateCalibrationPanel();
+}
+
+function referenceLength() {
+    const value = parseFloat(elements.calibrationLength.value);
+    return value > 0 ? value : null;
+}
+
+// Drag an end of the reference, or drag out a new one (see canvasDrag)
+function pickCalibration(clientX, clientY) {
+    const { x, y } = clientToImage(clientX, clientY);
+    const radius = screenToImageDistance(CALIBRATION_HANDLE_RADIUS);
+    const target = state;
+    const previous = target.calibration;
+    const clamp = (px, py) => ({
+        x: Math.min(Math.max(px, 0), target.image.width),
+        y: Math.min(Math.max(py, 0), target.image.height)
+    });
+
+    // Grabbing an end moves only that end; anywhere else starts a new reference
+    let segmentAt = (px, py) => {
+        const end = clamp(px, py);
+        return { x1: x, y1: y, x2: end.x, y2: end.y, lengthMm: referenceLength() };
+    };
+    if (previous && Math.hypot(previous.x1 - x, previous.y1 - y) <= radius) {
+        segmentAt = (px, py) => {
+            const end = clamp(px, py);
+            return { ...previous, x1: end.x, y1: end.y };
+        };
+    } else if (previous && Math.hypot(previous.x2 - x, previous.y2 - y) <= radius) {
+        segmentAt = (px, py) => {
+            const end = clamp(px, py);
+            return { ...previous, x2: end.x, y2: end.y };
+        };
+    }
+
+    return {
+        move(px, py) {
+            target.calibrationDraft = segmentAt(px, py);
+        },
+        end() {
+            const segment = target.calibrationDraft;
+            target.calibrationDraft = null;
+            if (!segment || Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1) < radius) {
+                drawCanvas();
+                return;
+            }
+            if (!segment.lengthMm) {
+                showToast('Escribe el largo de la referencia');
+                drawCanvas();
+                return;
+            }
+            executeCommand(new SetCalibrationCommand(target, 'referencia marcada', segment, previous));
+            refreshCalibration();
+        }
+    };
+}
+
+function refreshCalibration() {
+    drawCanvas();
+    updateStats();
+    updateCalibrationPanel();
+}
+
+function handleCalibrationLengthChange() {
+    const lengthMm = referenceLength();
+    if (!lengthMm) return;
+
+    diameterSettings = { ...diameterSettings, referenceMm: lengthMm };
+    saveDiameterSettings(diameterSettings);
+
+    if (state.calibration && state.calibration.lengthMm !== lengthMm) {
+        executeCommand(new SetCalibrationCommand(state, 'largo de referencia',
+            { ...state.calibration, lengthMm }));
+        refreshCalibration();
+    }
+}
+
+function handleGradeBoundsChange() {
+    diameterSettings = { ...diameterSettings, gradeBounds: parseGradeBounds(elements.gradeBounds.value) };
+    saveDiameterSettings(diameterSettings);
+    elements.gradeBounds.value = diameterSettings.gradeBounds.join(', ');
+    updateStats();
+    updateCalibrationPanel();
+}
+
+function clearCalibration() {
+    if (!state.calibration) return;
+
+    executeCommand(new SetCalibrationCommand(state, 'referencia borrada', null));
+    refreshCalibration();
+    showToast('Referencia borrada');
+}
+
+// ===============================================
+// Export
+// ===============================================
+function openExportDialog() {
+    elements.exportModal.classList.remove('hidden');
+    elements.btnExportShare.classList.toggle('hidden', !canShareFiles());
+    elements.btnExportDatasetBatch.classList.toggle('hidden', !batch.isBatch);
+}
+
+function closeExportDialog() {
+    elements.exportModal.classList.add('hidden');
+}
+
+function canShareFiles() {
+    const probe = new File([''], 'probe.png', { type: 'image/png' });
+    return Boolean(navigator.canShare?.({ files: [probe] }));
+}
+
+// File name based on the scan name plus a timestamp, e.g. "pila-norte-20240131-1542.png"
+function exportFileName(extension) {
+    const baseName = (state.scan?.name || batch.items[batch.activeIndex]?.name || 'estacascan')
+        .replace(/\.[^.]+$/, '')
+        .replace(/[^\w-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .toLowerCase() || 'estacascan';
+
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+
+    return `${baseName}-${stamp}.${extension}`;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function shareBlob(blob, fileName, title) {
+    const file = new File([blob], fileName, { type: blob.type });
+    try {
+        await navigator.share({ files: [file], title });
+    } catch (error) {
+        // The user closing the share sheet is not an error
+        if (error.name !== 'AbortError') throw error;
+    }
+}
+
+// Full-resolution image with the same boxes as the result canvas (ignores zoom/pan)
+// plus a legend band with the counts burned in below it
+function diameterLegend(target) {
+    const summary = target.diameterSummary(diameterSettings.gradeBounds);
+    if (!summary || summary.count === 0) return null;
+    const grades = summary.grades.map(grade => `${grade.label}: ${grade.count}`).join('  ·  ');
+    return `Ø MEDIO: ${Math.round(summary.meanMm)} mm  ·  GRADOS (mm) ${grades}`;
+}
+
+function auditLegend(target) {
+    const estimate = target.auditEstimate;
+    if (!estimate) return null;
+    return `AUDITORÍA: ${estimate.sampled} ESTACAS  ·  ERROR ${formatRate(estimate.errorRate)}  ·  TOTAL IC 95%: ${estimate.totalLow}–${estimate.totalHigh}`;
+}
+
+function renderAnnotatedImage(target, { numbers = false } = {}) {
+    const img = target.image;
+
+    // Stay under mobile canvas limits (iOS caps the canvas area)
+    const scale = Math.min(1, Math.sqrt(CONFIG.EXPORT_MAX_PIXELS / (img.width * img.height)));
+    const width = Math.round(img.width * scale);
+    const fontSize = Math.max(16, Math.round(width / 50));
+    const lineHeight = Math.round(fontSize * 1.5);
+    const legendLines = [
+        `TOTAL CONFIRMADO: ${target.totalConfirmed}`,
+        `IA BASE: ${target.iaBase}  ·  ACEPTADAS: ${target.manuallyAccepted}  ·  AGREGADAS: ${target.manuallyAdded}`,
+        target.isMultiClass
+            ? target.classCounts.map((count, i) => `${className(target, i).toUpperCase()}: ${count}`).join('  ·  ')
+            : null,
+        diameterLegend(target),
+        auditLegend(target),
+        new Date().toLocaleString('es')
+    ].filter(line => line !== null);
+    const legendHeight = lineHeight * (legendLines.length + 1);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.round(img.height * scale) + legendHeight;
+    const ctx = canvas.getContext('2d');
+
+    ctx.save();
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0);
+    drawRegions(ctx, target);
+    drawDetections(ctx, target);
+    drawCalibration(ctx, target);
+
+    if (numbers) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        target.countedDetections.forEach((det, index) => {
+            const size = Math.max(10, Math.min(det.x2 - det.x1, det.y2 - det.y1) * 0.45);
+            const cx = (det.x1 + det.x2) / 2;
+            const cy = (det.y1 + det.y2) / 2;
+            ctx.font = `700 ${size}px Inter, sans-serif`;
+            ctx.lineWidth = Math.max(2, size / 6);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.strokeText(String(index + 1), cx, cy);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(index + 1), cx, cy);
+        });
+    }
+    ctx.restore();
+
+    // Legend band
+    const legendTop = canvas.height - legendHeight;
+    ctx.fillStyle = '#0a1929';
+    ctx.fillRect(0, legendTop, width, legendHeight);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    legendLines.forEach((line, index) => {
+        ctx.font = `${index === 0 ? 800 : 500} ${fontSize}px Inter, sans-serif`;
+        ctx.fillStyle = index === 0 ? CONFIG.COLORS.confirmed : '#ffffff';
+        ctx.fillText(line, fontSize, legendTop + lineHeight * (index + 1));
+    });
+
+    return canvas;
+}
+
+async function exportAnnotatedImage(share = false) {
+    const format = elements.exportImageFormat.value;
+    const type = format === 'jpg' ? 'image/jpeg' : 'image/png';
+
+    try {
+        const canvas = renderAnnotatedImage(state, { numbers: elements.exportNumbers.checked });
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.92));
+        if (!blob) throw new Error('No se pudo generar la imagen');
+
+        const fileName = exportFileName(format);
+        if (share) {
+            await shareBlob(blob, fileName, `EstacaScan: ${state.totalConfirmed} estacas`);
+        } else {
+            downloadBlob(blob, fileName);
+        }
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast('Error al exportar: ' + error.message);
+    }
+}
+
+// One entry per detection, numbered like the annotated image (confirmed only)
+function listDetections(target) {
+    const round = (value, decimals) => Number(value.toFixed(decimals));
+    const scale = 1 / (target.scan?.scale || 1); // Reopened scans are shown downscaled
+    const counted = target.countedDetections;
+    const entry = (det, status, number = null) => ({
+        number,
+        status,
+        x1: round(det.x1 * scale, 1),
+        y1: round(det.y1 * scale, 1),
+        x2: round(det.x2 * scale, 1),
+        y2: round(det.y2 * scale, 1),
+        confidence: round(det.confidence, 4),
+        classId: det.classId || 0,
+        className: className(target, det.classId),
+        diameterMm: target.pxPerMm ? round(target.diameterOf(det), 1) : null,
+        wasDoubt: Boolean(det.wasDoubt),
+        isManual: Boolean(det.isManual),
+        audited: Boolean(det.audited),
+        inRegion: target.inRegion(det)
+    });
+
+    return [
+        ...target.confirmedDetections.map(det => {
+            const index = counted.indexOf(det);
+            return entry(det, 'confirmed', index === -1 ? null : index + 1);
+        }),
+        ...target.doubts.map(det => entry(det, 'doubt')),
+        ...target.rejectedDetections.map(det => entry(det, 'rejected'))
+    ];
+}
+
+// Diameter block of the exports, null until the photo is calibrated
+function diameterExport(target) {
+    const summary = target.diameterSummary(diameterSettings.gradeBounds);
+    if (!summary) return null;
+
+    const round = value => value === null ? null : Number(value.toFixed(1));
+    return {
+        pxPerMm: Number(target.pxPerMm.toFixed(4)),
+        gradeBoundsMm: diameterSettings.gradeBounds,
+        meanMm: round(summary.meanMm),
+        minMm: round(summary.minMm),
+        maxMm: round(summary.maxMm),
+        grades: summary.grades,
+        histogram: summary.histogram
+    };
+}
+
+// Audit block of the exports, null until some auto-confirmed stake was audited
+function auditExport(target) {
+    const estimate = target.auditEstimate;
+    if (!estimate) return null;
+
+    const round = value => Number(value.toFixed(4));
+    return {
+        sampled: estimate.sampled,
+        falsePositives: estimate.errors,
+        unaudited: estimate.unaudited,
+        errorRate: round(estimate.errorRate),
+        errorRateLow: round(estimate.errorLow),
+        errorRateHigh: round(estimate.errorHigh),
+        estimatedTotal: estimate.total,
+        totalLow: estimate.totalLow,
+        totalHigh: estimate.totalHigh,
+        confidenceLevel: 0.95
+    };
+}
+
+// Coordinates at the original photo size, also for scans reopened from the history
+function buildAnalysisExport(target) {
+    const geometry = scaleScanGeometry(target, 1 / (target.scan?.scale || 1));
+    return {
+        app: 'EstacaScan',
+        name: target.scan?.name || batch.items[batch.activeIndex]?.name || null,
+        exportedAt: new Date().toISOString(),
+        image: {
+            width: target.scan?.imageWidth ?? target.image.width,
+            height: target.scan?.imageHeight ?? target.image.height
+        },
+        model: target.model,
+        inference: target.timing,
+        classNames: target.labels,
+        thresholds: target.thresholds,
+        regions: geometry.regions,
+        calibration: geometry.calibration,
+        summary: {
+            totalConfirmed: target.totalConfirmed,
+            iaBase: target.iaBase,
+            manuallyAccepted: target.manuallyAccepted,
+            manuallyAdded: target.manuallyAdded,
+            doubts: target.doubts.length,
+            rejected: target.rejectedDetections.length,
+            perClass: Object.fromEntries(target.classCounts.map((count, i) => [className(target, i), count])),
+            diameter: diameterExport(target),
+            audit: auditExport(target)
+        },
+        detections: listDetections(target)
+    };
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function auditCsvRows(audit) {
+    if (!audit) return [];
+    return [
+        ['audit_sampled', audit.sampled],
+        ['audit_false_positives', audit.falsePositives],
+        ['audit_error_rate', audit.errorRate],
+        ['audit_error_rate_low', audit.errorRateLow],
+        ['audit_error_rate_high', audit.errorRateHigh],
+        ['audit_estimated_total', audit.estimatedTotal],
+        ['audit_total_low', audit.totalLow],
+        ['audit_total_high', audit.totalHigh]
+    ];
+}
+
+function diameterCsvRows(diameter) {
+    if (!diameter) return [];
+    return [
+        ['px_per_mm', diameter.pxPerMm],
+        ['diameter_mean_mm', diameter.meanMm],
+        ['diameter_min_mm', diameter.minMm],
+        ['diameter_max_mm', diameter.maxMm],
+        ...diameter.grades.map(grade => [`grade_${grade.label.replace(/\s/g, '')}_mm`, grade.count]),
+        ...diameter.histogram.map(bin => [`histogram_${bin.from}-${bin.to}_mm`, bin.count])
+    ];
+}
+
+// Summary block (key,value) followed by the detection table
+function buildAnalysisCsv(target) {
+    const data = buildAnalysisExport(target);
+    const rows = [
+        ['name', data.name],
+        ['exported_at', data.exportedAt],
+        ['image_width', data.image.width],
+        ['image_height', data.image.height],
+        ['model_version', data.model?.version],
+        ['confidence_threshold', data.thresholds?.confidence],
+        ['doubt_threshold', data.thresholds?.doubt],
+        ['iou_threshold', data.thresholds?.iou],
+        ['suppression', data.thresholds?.suppression ?? 'greedy'],
+        ['regions', data.regions.length],
+        ['total_confirmed', data.summary.totalConfirmed],
+        ['ia_base', data.summary.iaBase],
+        ['manually_accepted', data.summary.manuallyAccepted],
+        ['manually_added', data.summary.manuallyAdded],
+        ['doubts', data.summary.doubts],
+        ['rejected', data.summary.rejected],
+        ...Object.entries(data.summary.perClass).map(([name, count]) => [`class_${name}`, count]),
+        ...diameterCsvRows(data.summary.diameter),
+        ...auditCsvRows(data.summary.audit),
+        [],
+        ['number', 'status', 'x1', 'y1', 'x2', 'y2', 'confidence', 'class_id', 'class_name', 'diameter_mm', 'was_doubt', 'is_manual', 'audited', 'in_region'],
+        ...data.detections.map(det => [
+            det.number, det.status, det.x1, det.y1, det.x2, det.y2,
+            det.confidence, det.classId, det.className, det.diameterMm, det.wasDoubt, det.isManual, det.audited, det.inRegion
+        ])
+    ];
+
+    return rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function exportAnalysisData(format) {
+    try {
+        const blob = format === 'csv'
+            ? new Blob([buildAnalysisCsv(state)], { type: 'text/csv;charset=utf-8' })
+            : new Blob([JSON.stringify(buildAnalysisExport(state), null, 2)], { type: 'application/json' });
+
+        downloadBlob(blob, exportFileName(format));
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast('Error al exportar: ' + error.message);
+    }
+}
+
+// ===============================================
+// Training Dataset Export
+// ===============================================
+let collectDatasetSamples = null; // Set by whoever opens the dataset dialog
+
+function openDatasetDialog(collectSamples) {
+    collectDatasetSamples = collectSamples;
+    closeExportDialog();
+    elements.datasetModal.classList.remove('hidden');
+}
+
+function closeDatasetDialog() {
+    elements.datasetModal.classList.add('hidden');
+    collectDatasetSamples = null;
+}
+
+async function imageBlobSize(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+}
+
+async function sampleFromBatchItem(item) {
+    const blob = await (await fetch(item.url)).blob();
+    return {
+        name: item.name,
+        blob,
+        ...await imageBlobSize(blob),
+        sourceWidth: item.state.image.width,
+        sourceHeight: item.state.image.height,
+        classNames: item.state.classNames,
+        confirmed: item.state.confirmedDetections,
+        rejected: item.state.rejectedDetections
+    };
+}
+
+async function sampleFromScanRecord(record) {
+    return {
+        name: record.name,
+        blob: record.image,
+        ...await imageBlobSize(record.image),
+        sourceWidth: record.imageWidth,
+        sourceHeight: record.imageHeight,
+        classNames: record.classNames,
+        confirmed: record.confirmedDetections,
+        rejected: record.rejectedDetections
+    };
+}
+
+async function exportDataset() {
+    if (!collectDatasetSamples) return;
+
+    const collectSamples = collectDatasetSamples;
+    const options = {
+        format: elements.datasetFormat.value,
+        hardNegatives: elements.datasetNegatives.checked
+    };
+    closeDatasetDialog();
+    showToast('Preparando dataset...');
+
+    try {
+        const samples = await collectSamples();
+        if (samples.length === 0) {
+            showToast('No hay fotos para exportar');
+            return;
+        }
+
+        // Label names come from the model that analyzed the photos
+        const classNames = samples.find(sample => sample.classNames)?.classNames;
+        const zip = await createDatasetZip(samples, { ...options, classNames: classNames || CONFIG.CLASS_NAMES });
+        downloadBlob(zip, `dataset-${options.format}-${exportFileName('zip')}`);
+        showToast(`✓ Dataset exportado (${samples.length} fotos)`);
+    } catch (error) {
+        console.error('Dataset export error:', error);
+        showToast('Error al exportar el dataset: ' + error.message);
+    }
+}
+
+function exportCurrentDataset(wholeBatch) {
+    const items = wholeBatch ? batch.doneItems : [batch.items[batch.activeIndex]];
+
+    // Unreviewed doubts are neither labels nor negatives
+    const pending = items.reduce((sum, item) => sum + item.state.doubts.length, 0);
+    if (pending > 0) {
+        showToast(`Quedan ${pending} dudas sin revisar: no se incluirán`);
+    }
+
+    openDatasetDialog(() => Promise.all(items.map(sampleFromBatchItem)));
+}
+
+async function exportHistoryDataset() {
+    const ids = Array.from(elements.historyList.querySelectorAll('.history-select:checked'))
+        .map(input => Number(input.value));
+
+    if (ids.length === 0) {
+        showToast('Selecciona al menos un escaneo');
+        return;
+    }
+
+    await flushScanSaves();
+    openDatasetDialog(async () => {
+        const records = await Promise.all(ids.map(id => dbGet('scans', id)));
+        return Promise.all(records.filter(Boolean).map(sampleFromScanRecord));
+    });
+}
+
+// ===============================================
+// Live Camera (getUserMedia viewfinder with throttled detection)
+// ===============================================
+const live = {
+    stream: null,
+    session: 0,     // Bumped on every open/close so stale loops stop
+    frame: null     // Last analyzed frame: { canvas, detections, outputs }
+};
+
+function supportsLiveCamera() {
+    return Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+async function openLiveCamera() {
+    const session = ++live.session;
+    live.frame = null;
+
+    showScreen('camera');
+    elements.liveCount.textContent = '';
+    elements.liveStatus.textContent = 'Iniciando cámara...';
+
+    try {
+        live.stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                facingMode: { ideal: 'environment' },
+                width: { ideal: 1920 },
+                height: { ideal: 1080 }
+            },
+            audio: false
+        });
+        if (session !== live.session) {
+            stopLiveStream();
+            return;
+        }
+
+        elements.liveVideo.srcObject = live.stream;
+        await elements.liveVideo.play();
 
-    // Calculate crop area with padding
-    const padding = 50;
-    const width = doubt.x2 - doubt.x1;
-    const height = doubt.y2 - doubt.y1;
-
-    const cropX = Math.max(0, doubt.x1 - padding);
-    const cropY = Math.max(0, doubt.y1 - padding);
-    const cropWidth = Math.min(img.width - cropX, width + padding * 2);
-    const cropHeight = Math.min(img.height - cropY, height + padding * 2);
-
-    // Set canvas size (max 400x400)
-    const maxSize = 400;
-    const scale = Math.min(maxSize / cropWidth, maxSize / cropHeight);
-    elements.reviewCanvas.width = cropWidth * scale;
-    elements.reviewCanvas.height = cropHeight * scale;
-
-    // Draw cropped and scaled image
-    ctx.drawImage(
-        img,
-        cropX, cropY, cropWidth, cropHeight,
-        0, 0, cropWidth * scale, cropHeight * scale
-    );
+        await loadModel((text) => {
+            elements.liveStatus.textContent = text;
+        });
+        if (session !== live.session) return;
 
-    // Draw box on crop
-    const boxX = (doubt.x1 - cropX) * scale;
-    const boxY = (doubt.y1 - cropY) * scale;
-    const boxWidth = width * scale;
-    const boxHeight = height * scale;
+        elements.liveStatus.textContent = '';
+        liveDetectionLoop(session);
 
-    ctx.strokeStyle = CONFIG.COLORS.confirmed;
-    ctx.lineWidth = 3;
-    ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+    } catch (error) {
+        if (session !== live.session) return;
+        console.error('Camera error:', error);
+        showToast('No se pudo acceder a la cámara: ' + error.message);
+        closeLiveCamera();
+    }
 }
 
-function acceptDoubt() {
-    const doubt = state.doubts[state.currentDoubtIndex];
-    if (doubt) {
-        state.confirmedDetections.push({ ...doubt, wasDoubt: true });
-        state.doubts.splice(state.currentDoubtIndex, 1);
-        updateStats();
+function stopLiveStream() {
+    live.stream?.getTracks().forEach(track => track.stop());
+    live.stream = null;
+    elements.liveVideo.srcObject = null;
+}
 
-        if (state.doubts.length === 0 || state.currentDoubtIndex >= state.doubts.length) {
-            endReview();
-        } else {
-            showCurrentDoubt();
-        }
-    }
+function closeLiveCamera() {
+    live.session++;
+    live.frame = null;
+    stopLiveStream();
+    showScreen('upload');
 }
 
-function rejectDoubt() {
-    const doubt = state.doubts[state.currentDoubtIndex];
-    if (doubt) {
-        state.rejectedDetections.push(doubt);
-        state.doubts.splice(state.currentDoubtIndex, 1);
-        updateStats();
+async function liveDetectionLoop(session) {
+    while (session === live.session) {
+        const started = performance.now();
 
-        if (state.doubts.length === 0 || state.currentDoubtIndex >= state.doubts.length) {
-            endReview();
-        } else {
-            showCurrentDoubt();
+        try {
+            await detectLiveFrame(session);
+        } catch (error) {
+            if (session !== live.session || error.name === 'AbortError') return;
+            console.error('Live detection error:', error);
         }
-    }
-}
-
-function endReview() {
-    showScreen('result');
-    drawCanvas();
-    updateStats();
 
-    if (state.doubts.length === 0) {
-        showToast('✓ Revisión completada');
+        const wait = Math.max(0, CONFIG.LIVE_DETECTION_INTERVAL_MS - (performance.now() - started));
+        await new Promise(resolve => setTimeout(resolve, wait));
     }
 }
 
-// ===============================================
-// Zoom Controls (smoother zoom for trackpad)
-// ===============================================
-let zoomAccumulator = 0;
-const ZOOM_SENSITIVITY = 0.08; // Lower = slower zoom
+async function detectLiveFrame(session) {
+    const video = elements.liveVideo;
+    if (video.readyState < 2 || video.videoWidth === 0) return;
 
-function zoomIn() {
-    state.zoom = Math.min(state.zoom * 1.15, 5);
-    drawCanvas();
-}
+    // Copy the frame so it can be frozen exactly as it was analyzed
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
 
-function zoomOut() {
-    state.zoom = Math.max(state.zoom / 1.15, 0.3);
-    drawCanvas();
-}
+    const bitmap = await createImageBitmap(canvas);
+    const { detections, outputs } = await inference.detect(bitmap, { tiled: false, thresholds });
+    if (session !== live.session) return;
 
-function zoomReset() {
-    state.zoom = 1;
-    state.panX = 0;
-    state.panY = 0;
-    drawCanvas();
+    live.frame = { canvas, detections, outputs };
+    drawLiveOverlay(live.frame);
 }
 
-// Smooth wheel zoom handler
-function handleWheelZoom(e) {
-    e.preventDefault();
+function drawLiveOverlay(frame) {
+    const overlay = elements.liveOverlay;
+    overlay.width = frame.canvas.width;
+    overlay.height = frame.canvas.height;
 
-    // Accumulate small deltas for smoother trackpad zoom
-    zoomAccumulator += e.deltaY * ZOOM_SENSITIVITY;
+    const ctx = overlay.getContext('2d');
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
 
-    if (Math.abs(zoomAccumulator) >= 1) {
-        const zoomFactor = 1 + Math.abs(zoomAccumulator) * 0.02;
-        if (zoomAccumulator > 0) {
-            state.zoom = Math.max(state.zoom / zoomFactor, 0.3);
+    let confirmed = 0;
+    let doubts = 0;
+    frame.detections.forEach(det => {
+        if (det.confidence >= thresholds.doubt) {
+            confirmed++;
+            drawBox(ctx, det, CONFIG.COLORS.confirmed);
         } else {
-            state.zoom = Math.min(state.zoom * zoomFactor, 5);
+            doubts++;
+            drawBox(ctx, det, CONFIG.COLORS.doubt);
         }
-        zoomAccumulator = 0;
-        drawCanvas();
-    }
+    });
+
+    elements.liveCount.textContent = doubts > 0
+        ? `${confirmed} estacas · ${doubts} dudas`
+        : `${confirmed} estacas`;
 }
 
-// ===============================================
-// Click on Canvas to Toggle/Add Detection
-// ===============================================
-function handleCanvasClick(e) {
-    // Ignore if we were dragging
-    if (wasDragging) {
-        wasDragging = false;
+// Send the last analyzed frame to the normal result/review flow
+async function freezeLiveFrame() {
+    const frame = live.frame;
+    if (!frame) {
+        showToast('Espera a que termine la primera detección');
         return;
     }
 
-    const rect = elements.canvas.getBoundingClientRect();
-    const scaleX = elements.canvas.width / rect.width;
-    const scaleY = elements.canvas.height / rect.height;
-
-    const x = (e.clientX - rect.left) * scaleX / state.zoom - state.panX;
-    const y = (e.clientY - rect.top) * scaleY / state.zoom - state.panY;
-
-    // Check if clicked on a confirmed detection
-    const clickedConfirmed = state.confirmedDetections.findIndex(det =>
-        x >= det.x1 && x <= det.x2 && y >= det.y1 && y <= det.y2
-    );
-
-    if (clickedConfirmed !== -1) {
-        const det = state.confirmedDetections.splice(clickedConfirmed, 1)[0];
-        state.rejectedDetections.push(det);
-        showToast('Estaca descartada');
-        drawCanvas();
-        updateStats();
-        return;
-    }
+    live.session++;
+    stopLiveStream();
 
-    // Check if clicked on a rejected detection (to restore it)
-    const clickedRejected = state.rejectedDetections.findIndex(det =>
-        x >= det.x1 && x <= det.x2 && y >= det.y1 && y <= det.y2
-    );
+    try {
+        const blob = await new Promise(resolve => frame.canvas.toBlob(resolve, 'image/jpeg', 0.92));
+        const now = new Date();
+        const item = {
+            name: `Cámara ${now.toLocaleString('es')}`,
+            url: URL.createObjectURL(blob),
+            thumbnail: createThumbnail(frame.canvas),
+            state: new AppState(),
+            status: 'done'
+        };
 
-    if (clickedRejected !== -1) {
-        const det = state.rejectedDetections.splice(clickedRejected, 1)[0];
-        state.confirmedDetections.push({ ...det, wasDoubt: true });
-        showToast('Estaca restaurada');
-        drawCanvas();
-        updateStats();
-        return;
-    }
+        batch.reset();
+        batch.items = [item];
 
-    // Check if clicked on a doubt
-    const clickedDoubt = state.doubts.findIndex(det =>
-        x >= det.x1 && x <= det.x2 && y >= det.y1 && y <= det.y2
-    );
+        state = item.state;
+        state.imageData = item.url;
+        state.image = frame.canvas;
+        state.rawOutputs = frame.outputs;
+        recordModel(state);
+        processDetections(frame.detections, thresholds);
+        await createScanRecord(item);
 
-    if (clickedDoubt !== -1) {
-        const det = state.doubts.splice(clickedDoubt, 1)[0];
-        state.confirmedDetections.push({ ...det, wasDoubt: true });
-        showToast('Duda confirmada como estaca');
-        drawCanvas();
-        updateStats();
-        return;
-    }
+        renderBatchStrip();
+        openBatchItem(0);
+        setStatus('ANÁLISIS ACTIVO', 'active');
 
-    // If in add mode (or Ctrl+click), add a new stake at this position
-    if (state.addMode || e.ctrlKey || e.metaKey) {
-        addManualStake(x, y);
+    } catch (error) {
+        console.error('Freeze error:', error);
+        showToast('Error al capturar la imagen: ' + error.message);
+        showScreen('upload');
     }
 }
 
-// Add a manual stake at the given position
-function addManualStake(x, y) {
-    // Default box size based on average detection size or fixed value
-    const avgSize = calculateAverageBoxSize();
-    const halfSize = avgSize / 2;
+function useSystemCamera() {
+    closeLiveCamera();
+    elements.cameraInput.click();
+}
 
-    const newDet = {
-        id: Date.now(),
-        x1: x - halfSize,
-        y1: y - halfSize,
-        x2: x + halfSize,
-        y2: y + halfSize,
-        confidence: 1.0,
-        classId: 0,
-        wasDoubt: false,
-        isManual: true
+// ===============================================
+// Scan History (IndexedDB `scans` store)
+// ===============================================
+const SCAN_SAVE_DELAY_MS = 800;
+const dirtyScans = new Set();
+let scanSaveTimer = null;
+
+async function createScanRecord(item) {
+    state.scan = {
+        id: null,
+        name: item.name,
+        createdAt: Date.now(),
+        thumbnail: item.thumbnail,
+        image: await createImageBlob(state.image),
+        imageWidth: state.image.width,
+        imageHeight: state.image.height,
+        scale: 1
     };
-
-    // Clamp to image bounds
-    newDet.x1 = Math.max(0, newDet.x1);
-    newDet.y1 = Math.max(0, newDet.y1);
-    newDet.x2 = Math.min(state.image.width, newDet.x2);
-    newDet.y2 = Math.min(state.image.height, newDet.y2);
-
-    state.confirmedDetections.push(newDet);
-    showToast('✓ Estaca agregada manualmente');
-    drawCanvas();
-    updateStats();
+    await saveScan(state);
 }
 
-function calculateAverageBoxSize() {
-    const allDets = [...state.confirmedDetections, ...state.doubts];
-    if (allDets.length === 0) return 40; // Default size
+// Writes are chained per scan so the first insert gets its id before any update
+function saveScan(target) {
+    const scan = target.scan;
+    if (!scan) return Promise.resolve();
+
+    scan.pending = (scan.pending || Promise.resolve()).then(async () => {
+        if (target.scan !== scan) return; // Deleted meanwhile
+
+        // Always stored at the original size, whatever size the scan is shown at
+        const geometry = scaleScanGeometry(target, 1 / scan.scale);
+        const record = {
+            name: scan.name,
+            createdAt: scan.createdAt,
+            updatedAt: Date.now(),
+            thumbnail: scan.thumbnail,
+            image: scan.image,
+            imageWidth: scan.imageWidth,
+            imageHeight: scan.imageHeight,
+            thresholds: target.thresholds,
+            regions: geometry.regions,
+            model: target.model,
+            classNames: target.classNames,
+            calibration: geometry.calibration,
+            detections: geometry.detections,
+            confirmedDetections: geometry.confirmedDetections,
+            rejectedDetections: geometry.rejectedDetections,
+            doubts: geometry.doubts,
+            counts: {
+                totalConfirmed: target.totalConfirmed,
+                iaBase: target.iaBase,
+                manuallyAccepted: target.manuallyAccepted,
+                manuallyAdded: target.manuallyAdded
+            }
+        };
+        if (scan.id !== null) record.id = scan.id;
 
-    let totalSize = 0;
-    allDets.forEach(det => {
-        const w = det.x2 - det.x1;
-        const h = det.y2 - det.y1;
-        totalSize += (w + h) / 2;
+        try {
+            scan.id = await dbPut('scans', record);
+        } catch (error) {
+            console.error('Error saving scan:', error);
+            showToast('No se pudo guardar en el historial');
+        }
     });
-    return totalSize / allDets.length;
+
+    return scan.pending;
 }
 
-// ===============================================
-// Pan (Drag) Controls
-// ===============================================
-let isDragging = false;
-let wasDragging = false;
-let dragStartX = 0;
-let dragStartY = 0;
-let lastX = 0;
-let lastY = 0;
-const DRAG_THRESHOLD = 5; // pixels moved to consider it a drag, not a click
+function scheduleScanSave() {
+    if (!state.scan) return;
 
-function handleMouseDown(e) {
-    isDragging = true;
-    wasDragging = false;
-    dragStartX = e.clientX;
-    dragStartY = e.clientY;
-    lastX = e.clientX;
-    lastY = e.clientY;
-    elements.canvas.style.cursor = 'grabbing';
+    dirtyScans.add(state);
+    clearTimeout(scanSaveTimer);
+    scanSaveTimer = setTimeout(flushScanSaves, SCAN_SAVE_DELAY_MS);
 }
 
-function handleMouseMove(e) {
-    if (!isDragging) return;
+function flushScanSaves() {
+    clearTimeout(scanSaveTimer);
+    const targets = [...dirtyScans];
+    dirtyScans.clear();
+    return Promise.all(targets.map(saveScan));
+}
 
-    // Check if we've moved enough to consider this a drag
-    const movedX = Math.abs(e.clientX - dragStartX);
-    const movedY = Math.abs(e.clientY - dragStartY);
-    if (movedX > DRAG_THRESHOLD || movedY > DRAG_THRESHOLD) {
-        wasDragging = true;
-    }
+async function showHistory() {
+    await flushScanSaves();
+    showScreen('history');
+    await renderHistory();
+}
 
-    const deltaX = (e.clientX - lastX) / state.zoom;
-    const deltaY = (e.clientY - lastY) / state.zoom;
+function closeHistory() {
+    if (batch.doneItems.length > 0) {
+        showScreen('result');
+        drawCanvas();
+        updateStats();
+    } else {
+        showScreen('upload');
+    }
+}
 
-    state.panX += deltaX;
-    state.panY += deltaY;
+async function renderHistory() {
+    let scans = [];
+    try {
+        scans = await dbGetAll('scans');
+    } catch (error) {
+        console.error('Error reading history:', error);
+        showToast('No se pudo leer el historial');
+    }
 
-    lastX = e.clientX;
-    lastY = e.clientY;
+    scans.sort((a, b) => b.createdAt - a.createdAt);
+    elements.historyList.innerHTML = '';
+    elements.historyEmpty.classList.toggle('hidden', scans.length > 0);
+
+    scans.forEach(scan => {
+        const row = document.createElement('div');
+        row.className = 'history-item';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'history-thumb';
+        thumb.src = scan.thumbnail;
+        thumb.alt = scan.name;
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+
+        const name = document.createElement('span');
+        name.className = 'history-name';
+        name.textContent = scan.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        meta.textContent = `${new Date(scan.createdAt).toLocaleString('es')} · ${scan.counts.totalConfirmed} estacas`;
+        if (scan.model?.version) meta.textContent += ` · modelo v${scan.model.version}`;
+
+        info.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        actions.append(
+            createHistoryButton('Abrir', () => openScan(scan.id)),
+            createHistoryButton('Renombrar', () => renameScan(scan.id)),
+            createHistoryButton('Eliminar', () => deleteScan(scan.id), 'danger')
+        );
+
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'history-select';
+        select.value = scan.id;
+        select.title = 'Seleccionar para exportar dataset';
+
+        thumb.addEventListener('click', () => openScan(scan.id));
+        row.append(select, thumb, info, actions);
+        elements.historyList.appendChild(row);
+    });
+}
 
-    drawCanvas();
+function createHistoryButton(label, onClick, variant = '') {
+    const btn = document.createElement('button');
+    btn.className = `history-btn ${variant}`.trim();
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
 }
 
-function handleMouseUp() {
-    isDragging = false;
-    elements.canvas.style.cursor = state.addMode ? 'crosshair' : 'grab';
+// Boxes, regions and calibration of a scan (saved record or AppState) multiplied by `scale`. A detection
+// shared by two lists (a doubt is also in `detections`) stays one object.
+// The calibration length in mm is kept, so diameters don't change.
+function scaleScanGeometry(record, scale) {
+    const scaled = new Map();
+    const scaleBox = det => {
+        if (!scaled.has(det)) {
+            scaled.set(det, { ...det, x1: det.x1 * scale, y1: det.y1 * scale, x2: det.x2 * scale, y2: det.y2 * scale });
+        }
+        return scaled.get(det);
+    };
+
+    return {
+        detections: record.detections.map(scaleBox),
+        confirmedDetections: record.confirmedDetections.map(scaleBox),
+        rejectedDetections: record.rejectedDetections.map(scaleBox),
+        doubts: record.doubts.map(scaleBox),
+        regions: (record.regions || []).map(polygon => polygon.map(point => ({ x: point.x * scale, y: point.y * scale }))),
+        calibration: record.calibration ? scaleBox(record.calibration) : null
+    };
 }
 
-// ===============================================
-// Add Mode Toggle
-// ===============================================
-function toggleAddMode() {
-    state.addMode = !state.addMode;
+async function openScan(id) {
+    try {
+        const record = await dbGet('scans', id);
+        if (!record) {
+            showToast('El escaneo ya no existe');
+            await renderHistory();
+            return;
+        }
 
-    // Update button state
-    elements.btnAddMode.classList.toggle('active', state.addMode);
+        // The stored image is downscaled: show the saved geometry at its size instead of
+        // blowing the image back up to the original size (iOS caps the canvas area).
+        // `scan.scale` takes it back to the original size when saving and exporting.
+        const url = URL.createObjectURL(record.image);
+        const img = await loadImage(url);
+        const geometry = scaleScanGeometry(record, img.width / record.imageWidth);
+
+        const scanState = new AppState();
+        scanState.image = img;
+        scanState.imageData = url;
+        scanState.thresholds = record.thresholds || null;
+        scanState.regions = geometry.regions;
+        scanState.model = record.model || null;
+        scanState.classNames = record.classNames || null;
+        scanState.calibration = geometry.calibration;
+        scanState.detections = geometry.detections;
+        scanState.confirmedDetections = geometry.confirmedDetections;
+        scanState.rejectedDetections = geometry.rejectedDetections;
+        scanState.doubts = geometry.doubts;
+        scanState.scan = {
+            id: record.id,
+            name: record.name,
+            createdAt: record.createdAt,
+            thumbnail: record.thumbnail,
+            image: record.image,
+            imageWidth: record.imageWidth,
+            imageHeight: record.imageHeight,
+            scale: img.width / record.imageWidth
+        };
 
-    // Update cursor
-    elements.canvas.style.cursor = state.addMode ? 'crosshair' : 'grab';
+        batch.reset();
+        batch.items = [{
+            name: record.name,
+            url,
+            thumbnail: record.thumbnail,
+            state: scanState,
+            status: 'done'
+        }];
 
-    // Update container class for cursor override
-    elements.imageContainer.classList.toggle('add-mode', state.addMode);
+        renderBatchStrip();
+        openBatchItem(0);
+        setStatus('ANÁLISIS ACTIVO', 'active');
 
-    // Show toast
-    if (state.addMode) {
-        showToast('Modo agregar: click para marcar estacas');
-        showHelpTip();
-    } else {
-        showToast('Modo agregar desactivado');
-        hideHelpTip();
+    } catch (error) {
+        console.error('Error opening scan:', error);
+        showToast('No se pudo abrir el escaneo');
     }
 }
 
-function showHelpTip() {
-    if (elements.helpTip) {
-        elements.helpTip.classList.add('visible');
-        // Auto-hide after 5 seconds
-        setTimeout(hideHelpTip, 5000);
+async function renameScan(id) {
+    try {
+        const record = await dbGet('scans', id);
+        if (!record) return;
+
+        const name = prompt('Nombre del escaneo', record.name)?.trim();
+        if (!name) return;
+
+        record.name = name;
+        await dbPut('scans', record);
+
+        // Keep an open copy of this scan in sync
+        batch.items.forEach(item => {
+            if (item.state.scan?.id === id) {
+                item.state.scan.name = name;
+                item.name = name;
+            }
+        });
+
+        await renderHistory();
+    } catch (error) {
+        console.error('Error renaming scan:', error);
+        showToast('No se pudo renombrar el escaneo');
     }
 }
 
-function hideHelpTip() {
-    if (elements.helpTip) {
-        elements.helpTip.classList.remove('visible');
+async function deleteScan(id) {
+    if (!confirm('¿Eliminar este escaneo del historial?')) return;
+
+    try {
+        await dbDelete('scans', id);
+
+        // An open copy must not write the record back
+        batch.items.forEach(item => {
+            if (item.state.scan?.id === id) {
+                dirtyScans.delete(item.state);
+                item.state.scan = null;
+            }
+        });
+
+        showToast('Escaneo eliminado');
+        await renderHistory();
+    } catch (error) {
+        console.error('Error deleting scan:', error);
+        showToast('No se pudo eliminar el escaneo');
     }
 }
 
@@ -1052,10 +3946,15 @@ function hideHelpTip() {
 // New Analysis
 // ===============================================
 function newAnalysis() {
-    state.reset();
+    flushScanSaves();
+    batch.reset();
+    state = new AppState();
+    elements.batchStrip.innerHTML = '';
+    elements.batchStrip.classList.add('hidden');
     showScreen('upload');
     setStatus('LISTO', 'active');
     elements.btnStartReview.classList.add('hidden');
+    elements.btnStartAudit.classList.add('hidden');
     elements.btnNewAnalysis.classList.add('hidden');
 
     // Reset add mode button
@@ -1065,6 +3964,8 @@ function newAnalysis() {
     if (elements.imageContainer) {
         elements.imageContainer.classList.remove('add-mode');
     }
+    updateRegionPanel();
+    updateCalibrationPanel();
 }
 
 // ===============================================
@@ -1073,21 +3974,31 @@ function newAnalysis() {
 function initEventListeners() {
     // File input
     elements.fileInput.addEventListener('change', (e) => {
-        if (e.target.files[0]) {
-            handleFileSelect(e.target.files[0]);
+        if (e.target.files.length > 0) {
+            handleFilesSelect(e.target.files);
         }
+        e.target.value = ''; // Allow selecting the same files again
     });
 
     // Camera input
     elements.cameraInput.addEventListener('change', (e) => {
         if (e.target.files[0]) {
-            handleFileSelect(e.target.files[0]);
+            handleFilesSelect([e.target.files[0]]);
         }
+        e.target.value = '';
     });
 
+    // Live viewfinder when available, native capture otherwise
     elements.btnCamera.addEventListener('click', () => {
-        elements.cameraInput.click();
+        if (supportsLiveCamera()) {
+            openLiveCamera();
+        } else {
+            elements.cameraInput.click();
+        }
     });
+    elements.btnLiveFreeze.addEventListener('click', freezeLiveFrame);
+    elements.btnLiveClose.addEventListener('click', closeLiveCamera);
+    elements.btnLiveSystem.addEventListener('click', useSystemCamera);
 
     // Drag and drop
     elements.uploadArea.addEventListener('dragover', (e) => {
@@ -1102,8 +4013,8 @@ function initEventListeners() {
     elements.uploadArea.addEventListener('drop', (e) => {
         e.preventDefault();
         elements.uploadArea.classList.remove('drag-over');
-        if (e.dataTransfer.files[0]) {
-            handleFileSelect(e.dataTransfer.files[0]);
+        if (e.dataTransfer.files.length > 0) {
+            handleFilesSelect(e.dataTransfer.files);
         }
     });
 
@@ -1114,6 +4025,9 @@ function initEventListeners() {
         }
     });
 
+    // Cancel a running analysis
+    elements.btnCancelAnalysis.addEventListener('click', cancelAnalysis);
+
     // Zoom controls
     elements.btnZoomIn.addEventListener('click', zoomIn);
     elements.btnZoomOut.addEventListener('click', zoomOut);
@@ -1123,10 +4037,29 @@ function initEventListeners() {
     if (elements.btnAddMode) {
         elements.btnAddMode.addEventListener('click', toggleAddMode);
     }
+    elements.classSelect.addEventListener('change', handleClassChange);
+
+    // Region of interest
+    elements.btnRegionMode.addEventListener('click', toggleRegionMode);
+    elements.btnRegionClose.addEventListener('click', closeRegionDraft);
+    elements.btnRegionUndoPoint.addEventListener('click', undoRegionPoint);
+    elements.btnRegionClear.addEventListener('click', clearRegions);
+    elements.btnRegionReanalyze.addEventListener('click', reanalyzeRegion);
+    elements.btnRegionDone.addEventListener('click', toggleRegionMode);
+
+    // Diameter calibration
+    elements.btnCalibrationMode.addEventListener('click', toggleCalibrationMode);
+    elements.calibrationLength.addEventListener('change', handleCalibrationLengthChange);
+    elements.gradeBounds.addEventListener('change', handleGradeBoundsChange);
+    elements.btnCalibrationClear.addEventListener('click', clearCalibration);
+    elements.btnCalibrationDone.addEventListener('click', toggleCalibrationMode);
 
     // Mouse wheel zoom (smooth)
     elements.imageContainer.addEventListener('wheel', handleWheelZoom, { passive: false });
 
+    // The layers follow the container (window resize, panels, screen rotation)
+    new ResizeObserver(requestRender).observe(elements.imageContainer);
+
     // Canvas click (to toggle detection)
     elements.canvas.addEventListener('click', handleCanvasClick);
 
@@ -1143,8 +4076,6 @@ function initEventListeners() {
     let wasTouchDragging = false;
     let touchDragStartX = 0;
     let touchDragStartY = 0;
-    let lastDrawTime = 0;
-    const TOUCH_THROTTLE_MS = 16; // ~60fps
 
     function getTouchDistance(touches) {
         const dx = touches[0].clientX - touches[1].clientX;
@@ -1163,7 +4094,8 @@ function initEventListeners() {
         e.preventDefault(); // Prevent browser gestures
         
         if (e.touches.length === 1) {
-            // Single finger - pan
+            // Single finger - pan (or drag whatever is under the finger)
+            canvasDrag = pickCanvasDrag(e.touches[0].clientX, e.touches[0].clientY);
             isTouchDragging = true;
             wasTouchDragging = false;
             touchStartX = e.touches[0].clientX;
@@ -1172,18 +4104,14 @@ function initEventListeners() {
             touchDragStartY = e.touches[0].clientY;
         } else if (e.touches.length === 2) {
             // Two fingers - pinch zoom
+            endCanvasDrag();
             isTouchDragging = false;
             lastTouchDistance = getTouchDistance(e.touches);
         }
     }, { passive: false });
 
     elements.canvas.addEventListener('touchmove', (e) => {
-        e.preventDefault();
-        
-        // Throttle for performance
-        const now = Date.now();
-        if (now - lastDrawTime < TOUCH_THROTTLE_MS) return;
-        lastDrawTime = now;
+        e.preventDefault(); // Redraws are batched per frame (see requestRender)
 
         if (e.touches.length === 1 && isTouchDragging) {
             // Single finger pan
@@ -1193,16 +4121,15 @@ function initEventListeners() {
                 wasTouchDragging = true;
             }
 
-            const deltaX = (e.touches[0].clientX - touchStartX) / state.zoom;
-            const deltaY = (e.touches[0].clientY - touchStartY) / state.zoom;
+            if (canvasDrag) {
+                moveCanvasDrag(e.touches[0].clientX, e.touches[0].clientY);
+                return;
+            }
 
-            state.panX += deltaX;
-            state.panY += deltaY;
+            panBy(e.touches[0].clientX - touchStartX, e.touches[0].clientY - touchStartY);
 
             touchStartX = e.touches[0].clientX;
             touchStartY = e.touches[0].clientY;
-
-            drawCanvas();
         } else if (e.touches.length === 2) {
             // Pinch to zoom
             const currentDistance = getTouchDistance(e.touches);
@@ -1213,7 +4140,7 @@ function initEventListeners() {
                 
                 // Clamp zoom
                 state.zoom = Math.max(0.3, Math.min(5, newZoom));
-                drawCanvas();
+                requestRender();
             }
             
             lastTouchDistance = currentDistance;
@@ -1235,6 +4162,7 @@ function initEventListeners() {
                 };
                 handleCanvasClick(clickEvent);
             }
+            endCanvasDrag();
             isTouchDragging = false;
             wasTouchDragging = false;
             lastTouchDistance = 0;
@@ -1249,20 +4177,138 @@ function initEventListeners() {
 
     // Review buttons
     elements.btnStartReview.addEventListener('click', startReview);
+    elements.btnStartAudit.addEventListener('click', startAudit);
     elements.btnAccept.addEventListener('click', acceptDoubt);
     elements.btnReject.addEventListener('click', rejectDoubt);
 
     // New analysis
     elements.btnNewAnalysis.addEventListener('click', newAnalysis);
 
+    // Export
+    elements.btnExport.addEventListener('click', openExportDialog);
+    elements.btnExportClose.addEventListener('click', closeExportDialog);
+    elements.exportModal.addEventListener('click', (e) => {
+        if (e.target === elements.exportModal) closeExportDialog();
+    });
+    elements.btnExportDownload.addEventListener('click', () => exportAnnotatedImage(false));
+    elements.btnExportShare.addEventListener('click', () => exportAnnotatedImage(true));
+    elements.btnExportCsv.addEventListener('click', () => exportAnalysisData('csv'));
+    elements.btnExportJson.addEventListener('click', () => exportAnalysisData('json'));
+    elements.btnExportDataset.addEventListener('click', () => exportCurrentDataset(false));
+    elements.btnExportDatasetBatch.addEventListener('click', () => exportCurrentDataset(true));
+
+    // Training dataset
+    elements.btnDatasetClose.addEventListener('click', closeDatasetDialog);
+    elements.datasetModal.addEventListener('click', (e) => {
+        if (e.target === elements.datasetModal) closeDatasetDialog();
+    });
+    elements.btnDatasetExport.addEventListener('click', exportDataset);
+    elements.btnHistoryDataset.addEventListener('click', exportHistoryDataset);
+
+    // History
+    elements.btnHistory.addEventListener('click', showHistory);
+    elements.btnHistoryBack.addEventListener('click', closeHistory);
+
+    // Don't lose pending corrections when the page is closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushScanSaves();
+    });
+
+    // Threshold settings
+    elements.btnSettings.addEventListener('click', toggleSettingsPanel);
+    THRESHOLD_SLIDERS.forEach(key => {
+        elements[`${key}Slider`].addEventListener('input', handleThresholdInput);
+        elements[`${key}Slider`].addEventListener('change', handleThresholdChange);
+    });
+    elements.suppressionSelect.addEventListener('change', () => {
+        handleThresholdInput();
+        handleThresholdChange();
+    });
+    elements.btnResetThresholds.addEventListener('click', resetThresholds);
+    elements.backendSelect.addEventListener('change', handleBackendChange);
+
+    // Undo / redo
+    elements.btnUndo.addEventListener('click', undo);
+    elements.btnRedo.addEventListener('click', redo);
+    elements.btnReviewBack.addEventListener('click', reviewBack);
+    elements.btnSkip.addEventListener('click', skipDoubt);
+    elements.btnReviewFinish.addEventListener('click', showReviewSummary);
+    elements.btnReviewBulk.addEventListener('click', acceptRemaining);
+    elements.btnReviewContinue.addEventListener('click', continueReview);
+    elements.btnReviewDone.addEventListener('click', endReview);
+    elements.reviewSort.addEventListener('change', () => {
+        setReviewSort(elements.reviewSort.value);
+        elements.reviewSort.blur();
+    });
+    elements.reviewBulkSlider.addEventListener('input', updateBulkControls);
+
+    // Review crop: wheel / pinch zoom, drag to pan, double click to frame the box again
+    elements.reviewCanvas.addEventListener('wheel', handleReviewWheel, { passive: false });
+    elements.reviewCanvas.addEventListener('pointerdown', handleReviewPointerDown);
+    elements.reviewCanvas.addEventListener('pointermove', handleReviewPointerMove);
+    elements.reviewCanvas.addEventListener('pointerup', handleReviewPointerUp);
+    elements.reviewCanvas.addEventListener('pointercancel', handleReviewPointerUp);
+    elements.reviewCanvas.addEventListener('dblclick', resetReviewCrop);
+    elements.reviewBulkSlider.addEventListener('change', () => elements.reviewBulkSlider.blur());
+    // Give the keyboard shortcuts back after picking a class
+    elements.reviewClass.addEventListener('change', () => elements.reviewClass.blur());
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-        if (elements.screenReview.classList.contains('hidden')) return;
+        const onResult = !elements.screenResult.classList.contains('hidden');
+        const onReview = !elements.screenReview.classList.contains('hidden');
+        if (!onResult && !onReview) return;
+        if (e.target.closest?.('input, select, textarea')) return;
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); in review, undo goes back one decision
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                if (onResult) redo();
+            } else if (onReview) {
+                reviewBack();
+            } else {
+                undo();
+            }
+            return;
+        }
+
+        // Region drawing: Enter closes the polygon, Escape drops it
+        if (onResult && state.regionMode) {
+            if (e.key === 'Enter') closeRegionDraft();
+            else if (e.key === 'Escape') cancelRegionDraft();
+            return;
+        }
+
+        if (!onReview) return;
+
+        // Summary: Enter/Escape go back to the result, Backspace reopens the last step
+        if (isReviewSummaryOpen()) {
+            if (e.key === 'Enter' || e.key === 'Escape') endReview();
+            else if (e.key === 'Backspace') reviewBack();
+            return;
+        }
 
-        if (e.key === 'ArrowLeft' || e.key === 'x' || e.key === 'X') {
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (key === 'Backspace' || key === 'ArrowUp') {
+            e.preventDefault();
+            reviewBack();
+        } else if (key === 'ArrowLeft' || key === 'x') {
             rejectDoubt();
-        } else if (e.key === 'ArrowRight' || e.key === 'Enter' || e.key === ' ') {
+        } else if (key === 'ArrowRight' || key === 'Enter' || key === ' ') {
+            e.preventDefault();
             acceptDoubt();
+        } else if (key === 'ArrowDown' || key === 's') {
+            e.preventDefault();
+            skipDoubt();
+        } else if (key === 'b') {
+            acceptRemaining();
+        } else if (key === 'o') {
+            cycleReviewSort();
+        } else if (key === 'Escape') {
+            showReviewSummary();
+        } else if (state.isMultiClass && /^[1-9]$/.test(e.key) && Number(e.key) <= state.labels.length) {
+            elements.reviewClass.value = Number(e.key) - 1;
         }
     });
 }
@@ -1274,7 +4320,9 @@ function init() {
     showScreen('upload');
     elements.footer.style.display = 'none';
     initEventListeners();
+    updateTtaOption();
     setStatus('LISTO', 'active');
+    registerServiceWorker({ beforeUpdate: flushScanSaves });
 
     console.log('🌲 EstacaScan initialized');
     console.log('📦 Model will be loaded on first image upload');
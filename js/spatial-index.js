@@ -0,0 +1,95 @@
+/**
+ * EstacaScan - Índice espacial
+ * Rejilla uniforme sobre la imagen para encontrar rápido las cajas bajo un punto (clics)
+ * o dentro de un rectángulo (dibujar solo lo visible) aunque haya miles de estacas
+ */
+
+// ===============================================
+// Uniform Grid
+// ===============================================
+const MAX_QUERY_CELLS = 4096; // Past this a query scans the items instead of the cells
+
+// Each item is listed in every cell its box touches. `boxOf(item)` gives the box
+// ({ x1, y1, x2, y2 }, image pixels); queries return items in insertion order.
+export class SpatialGrid {
+    constructor(cellSize, boxOf = item => item) {
+        this.cellSize = Math.max(1, cellSize);
+        this.boxOf = boxOf;
+        this.cells = new Map(); // 'col,row' -> item indices
+        this.items = [];
+    }
+
+    // Cells about twice the typical box, so most boxes touch one to four cells; never
+    // smaller than `minCellSize` (pass a fraction of the image so tiny boxes can't
+    // split it into millions of cells)
+    static fromItems(items, boxOf = item => item, minCellSize = 1) {
+        const sizes = items
+            .map(item => {
+                const box = boxOf(item);
+                return Math.max(box.x2 - box.x1, box.y2 - box.y1);
+            })
+            .sort((a, b) => a - b);
+        const cellSize = Math.max(minCellSize, (sizes[Math.floor(sizes.length / 2)] || 0) * 2);
+        const grid = new SpatialGrid(cellSize, boxOf);
+        items.forEach(item => grid.insert(item));
+        return grid;
+    }
+
+    insert(item) {
+        const index = this.items.length;
+        this.items.push(item);
+        this.forEachCell(this.boxOf(item), key => {
+            const cell = this.cells.get(key);
+            if (cell) cell.push(index);
+            else this.cells.set(key, [index]);
+        });
+    }
+
+    // Items whose box overlaps the rectangle (edges included)
+    query(x1, y1, x2, y2) {
+        if (this.items.length === 0) return [];
+
+        const overlaps = item => {
+            const box = this.boxOf(item);
+            return box.x1 <= x2 && box.x2 >= x1 && box.y1 <= y2 && box.y2 >= y1;
+        };
+
+        // A rectangle covering most of the grid (zoomed out) is cheaper as a plain scan
+        if (this.cellCount({ x1, y1, x2, y2 }) > Math.min(MAX_QUERY_CELLS, this.cells.size)) {
+            return this.items.filter(overlaps);
+        }
+
+        const found = new Set();
+        this.forEachCell({ x1, y1, x2, y2 }, key => {
+            this.cells.get(key)?.forEach(index => found.add(index));
+        });
+
+        return [...found]
+            .sort((a, b) => a - b)
+            .map(index => this.items[index])
+            .filter(overlaps);
+    }
+
+    // Items whose box contains the point
+    at(x, y) {
+        return this.query(x, y, x, y);
+    }
+
+    cellCount(box) {
+        const cols = Math.floor(box.x2 / this.cellSize) - Math.floor(box.x1 / this.cellSize) + 1;
+        const rows = Math.floor(box.y2 / this.cellSize) - Math.floor(box.y1 / this.cellSize) + 1;
+        return cols * rows;
+    }
+
+    forEachCell(box, callback) {
+        const col1 = Math.floor(box.x1 / this.cellSize);
+        const row1 = Math.floor(box.y1 / this.cellSize);
+        const col2 = Math.floor(box.x2 / this.cellSize);
+        const row2 = Math.floor(box.y2 / this.cellSize);
+        for (let row = row1; row <= row2; row++) {
+            for (let col = col1; col <= col2; col++) {
+                callback(`${col},${row}`);
+            }
+        }
+    }
+}
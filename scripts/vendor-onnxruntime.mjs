@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * EstacaScan - Copia de ONNX Runtime Web
+ * Copia a vendor/onnxruntime-web/ los archivos del paquete onnxruntime-web (versión fijada
+ * en package.json) que la app y el service worker cargan. Corre con `npm run build` al
+ * desplegar; vendor/ no se guarda en el repositorio.
+ */
+
+import { copyFile, mkdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = path.join(ROOT, 'node_modules', 'onnxruntime-web', 'dist');
+const TARGET = path.join(ROOT, 'vendor', 'onnxruntime-web');
+
+// Source (inside dist/) -> name in vendor/; keep in sync with APP_FILES in sw.js
+const FILES = [
+    ['esm/ort.min.js', 'ort.min.js'],
+    ['esm/ort.webgpu.min.js', 'ort.webgpu.min.js'],
+    ['ort-wasm.wasm', 'ort-wasm.wasm'],
+    ['ort-wasm-simd.wasm', 'ort-wasm-simd.wasm'],
+    ['ort-wasm-threaded.wasm', 'ort-wasm-threaded.wasm'],
+    ['ort-wasm-simd-threaded.wasm', 'ort-wasm-simd-threaded.wasm'],
+    ['ort-wasm-simd.jsep.wasm', 'ort-wasm-simd.jsep.wasm'],
+    ['ort-wasm-simd-threaded.jsep.wasm', 'ort-wasm-simd-threaded.jsep.wasm'] // WebGPU with WASM threads
+];
+
+async function main() {
+    const { version } = JSON.parse(await readFile(path.join(SOURCE, '..', 'package.json'), 'utf8'));
+    await mkdir(TARGET, { recursive: true });
+
+    for (const [from, to] of FILES) {
+        await copyFile(path.join(SOURCE, from), path.join(TARGET, to));
+    }
+    console.log(`onnxruntime-web ${version}: ${FILES.length} archivos copiados a vendor/onnxruntime-web/`);
+}
+
+main().catch(error => {
+    console.error(error.code === 'ENOENT'
+        ? `Falta ${error.path}: ejecuta \`npm install\` primero`
+        : error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,142 @@
+/**
+ * EstacaScan - Service worker
+ * Precachea la aplicación y ONNX Runtime para que arranque sin conexión
+ *
+ * Sube CACHE_VERSION en cada despliegue: el navegador detecta el cambio en este archivo,
+ * instala la versión nueva en segundo plano y la página ofrece actualizar (ver js/pwa.js).
+ * El modelo no se guarda en esta caché: vive en IndexedDB, validado con su manifiesto y con
+ * descarga reanudable (js/model-cache.js), así no se guardan dos copias de 36 MB. La instalación
+ * lo descarga ahí: basta con abrir una vez con red cualquiera de las dos páginas.
+ */
+
+import { CONFIG } from './js/config.js';
+import { fetchModelManifest, getCachedModel, saveCachedModel, downloadModel } from './js/model-cache.js';
+
+const CACHE_VERSION = 'v1';
+const APP_CACHE = `estacascan-app-${CACHE_VERSION}`;
+const FONT_CACHE = 'estacascan-fonts';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'scanner.html',
+    'manifest.webmanifest',
+    'favicon.png',
+    'css/landing.css',
+    'css/scanner.css',
+    'js/audit.js',
+    'js/config.js',
+    'js/dataset.js',
+    'js/db.js',
+    'js/diameter.js',
+    'js/downloader.js',
+    'js/image-processor.js',
+    'js/inference-worker.js',
+    'js/landing.js',
+    'js/model-cache.js',
+    'js/onnx-metadata.js',
+    'js/pwa.js',
+    'js/scanner.js',
+    'js/spatial-index.js',
+    'js/zip.js',
+    'vendor/onnxruntime-web/ort.min.js',
+    'vendor/onnxruntime-web/ort.webgpu.min.js',
+    'vendor/onnxruntime-web/ort-wasm-simd.jsep.wasm',
+    'vendor/onnxruntime-web/ort-wasm-simd-threaded.jsep.wasm',
+    'vendor/onnxruntime-web/ort-wasm.wasm',
+    'vendor/onnxruntime-web/ort-wasm-simd.wasm',
+    'vendor/onnxruntime-web/ort-wasm-threaded.wasm',
+    'vendor/onnxruntime-web/ort-wasm-simd-threaded.wasm'
+];
+
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// ===============================================
+// Lifecycle
+// ===============================================
+self.addEventListener('install', (e) => {
+    // Bypass the HTTP cache so a new version never precaches yesterday's files
+    e.waitUntil(Promise.all([
+        caches.open(APP_CACHE).then(cache =>
+            cache.addAll(APP_FILES.map(url => new Request(url, { cache: 'reload' })))),
+        preloadModel()
+    ]));
+    // No skipWaiting here: the page asks first (update prompt)
+});
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('estacascan-app-') && key !== APP_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (e) => {
+    if (e.data?.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// ===============================================
+// Model
+// ===============================================
+// Never fails the install. The browser aborts an install that runs too long, so it only waits
+// SW_MODEL_PRELOAD_MS; the download goes on while the worker lives and the parts already
+// saved are picked up by the next download (scanner or landing).
+function preloadModel() {
+    const preload = (async () => {
+        const manifest = await fetchModelManifest();
+        if (await getCachedModel(manifest)) return;
+        await saveCachedModel(await downloadModel(manifest), manifest);
+    })().catch(error => console.warn('Model preload failed:', error));
+
+    return Promise.race([preload, new Promise(resolve => setTimeout(resolve, CONFIG.SW_MODEL_PRELOAD_MS))]);
+}
+
+// ===============================================
+// Requests
+// ===============================================
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (FONT_ORIGINS.includes(url.origin)) {
+        e.respondWith(fontResponse(request));
+        return;
+    }
+
+    // The model and its manifest go straight to the network (see header)
+    if (url.origin !== self.location.origin || url.href.startsWith(new URL('model/', self.registration.scope).href)) {
+        return;
+    }
+
+    e.respondWith(appResponse(request));
+});
+
+// Cache first: the app only changes when a new service worker is activated
+async function appResponse(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+// Fonts are cached on the first online visit; until then the system font is used
+async function fontResponse(request) {
+    const cache = await caches.open(FONT_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}